@@ -0,0 +1,630 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const core = require("./xpart-sql");
+
+const SQLError = core.SQLError;
+const callAsPromise = core.callAsPromise;
+const callTransactionFn = core.callTransactionFn;
+
+// ============================================================================
+// [Utils]
+// ============================================================================
+
+/**
+ * Creates a new `SQLMigrator` instance.
+ */
+function new_(driver, options) {
+  return new SQLMigrator(driver, options);
+}
+exports.new = new_;
+
+/**
+ * Matches a migration file name, which is "<version>_<name>.sql" or
+ * "<version>_<name>.js".
+ */
+const reMigrationFile = /^(\d+)[_-](.+)\.(sql|js)$/;
+
+/**
+ * Matches a line that starts the up or down section of a SQL migration.
+ */
+const reSQLSection = /^--\s*migrate:(up|down)\s*$/;
+
+/**
+ * Parses a SQL migration `source` into `{ up, down }` statements. The file is
+ * split into sections by `-- migrate:up` and `-- migrate:down` lines, a file
+ * without sections is the up step only.
+ *
+ * @param {string} source Content of the SQL migration.
+ * @return {object} Parsed migration having `up` and `down` (can be `null`).
+ */
+function parseSQLMigration(source) {
+  const lines = source.split(/\r?\n/);
+  const sections = { up: [], down: [] };
+
+  var current = null;
+  for (var i = 0; i < lines.length; i++) {
+    const m = reSQLSection.exec(lines[i]);
+    if (m) {
+      current = m[1];
+      continue;
+    }
+
+    if (current === null) {
+      if (!lines[i].trim())
+        continue;
+      current = "up";
+    }
+
+    sections[current].push(lines[i]);
+  }
+
+  const up = sections.up.join("\n").trim();
+  const down = sections.down.join("\n").trim();
+
+  return {
+    up  : up || null,
+    down: down || null
+  };
+}
+exports.parseSQLMigration = parseSQLMigration;
+
+/**
+ * Matches the beginning of a `CREATE TRIGGER` statement, which contains
+ * statements terminated by semicolons between `BEGIN` and `END`.
+ */
+const reCreateTrigger = /^(?:\s|--[^\n]*\n|\/\*[\s\S]*?\*\/)*CREATE\s+(?:(?:TEMP|TEMPORARY)\s+)?TRIGGER\b/i;
+
+/**
+ * Splits a SQL `script` into statements, used to execute a SQL migration by
+ * engines that cannot execute multiple statements in a single query (like
+ * SQLite). Semicolons in string literals, quoted identifiers, comments, and
+ * `BEGIN ... END` blocks of triggers don't split statements.
+ *
+ * @param {string} script SQL script.
+ * @return {string[]} Statements (without the terminating semicolons).
+ */
+function splitSQLStatements(script) {
+  const statements = [];
+  const n = script.length;
+
+  var start = 0;
+  var depth = 0;
+  var i = 0;
+
+  function push(end) {
+    const statement = script.substring(start, end).trim();
+    if (statement && !/^(?:\s|--[^\n]*(?:\n|$)|\/\*[\s\S]*?\*\/)*$/.test(statement))
+      statements.push(statement);
+  }
+
+  while (i < n) {
+    const c = script.charAt(i);
+
+    // String literals and quoted identifiers, a doubled quote is escaped.
+    if (c === "'" || c === "\"" || c === "`" || c === "[") {
+      const quote = c === "[" ? "]" : c;
+      i++;
+      while (i < n) {
+        if (script.charAt(i++) === quote) {
+          if (quote !== "]" && script.charAt(i) === quote)
+            i++;
+          else
+            break;
+        }
+      }
+      continue;
+    }
+
+    if (c === "-" && script.charAt(i + 1) === "-") {
+      const end = script.indexOf("\n", i);
+      i = end === -1 ? n : end + 1;
+      continue;
+    }
+
+    if (c === "/" && script.charAt(i + 1) === "*") {
+      const end = script.indexOf("*/", i + 2);
+      i = end === -1 ? n : end + 2;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(c)) {
+      var end = i + 1;
+      while (end < n && /[A-Za-z0-9_$]/.test(script.charAt(end)))
+        end++;
+
+      const word = script.substring(i, end).toUpperCase();
+      if (word === "CASE" || (word === "BEGIN" && reCreateTrigger.test(script.substring(start, i))))
+        depth++;
+      else if (word === "END" && depth > 0)
+        depth--;
+
+      i = end;
+      continue;
+    }
+
+    if (c === ";" && depth === 0) {
+      push(i);
+      start = i + 1;
+    }
+
+    i++;
+  }
+
+  push(n);
+  return statements;
+}
+exports.splitSQLStatements = splitSQLStatements;
+
+/**
+ * Loads migrations from `directory`, sorted by their versions.
+ *
+ * @param {string} directory Directory containing migration files.
+ * @return {object[]} Array of migrations `{ version, name, up, down }`.
+ *
+ * @throws {SQLError} If a migration file is invalid or a version is used twice.
+ */
+function loadMigrations(directory) {
+  const files = fs.readdirSync(directory);
+  const migrations = [];
+
+  for (var i = 0; i < files.length; i++) {
+    const m = reMigrationFile.exec(files[i]);
+    if (!m)
+      continue;
+
+    const file = path.join(directory, files[i]);
+    var steps;
+
+    if (m[3] === "sql") {
+      steps = parseSQLMigration(fs.readFileSync(file, "utf8"));
+    }
+    else {
+      const module = require(path.resolve(file));
+      steps = { up: module.up || null, down: module.down || null };
+    }
+
+    if (!steps.up)
+      throw new SQLError("Migration '" + files[i] + "' has no up step");
+
+    migrations.push({
+      version: Number(m[1]),
+      name   : m[2],
+      up     : steps.up,
+      down   : steps.down
+    });
+  }
+
+  return normalizeMigrations(migrations);
+}
+exports.loadMigrations = loadMigrations;
+
+/**
+ * Sorts `migrations` by their versions and checks that each version is used
+ * only once.
+ *
+ * @private
+ */
+function normalizeMigrations(migrations) {
+  const output = migrations.slice().sort(function(a, b) { return a.version - b.version; });
+
+  for (var i = 0; i < output.length; i++) {
+    const migration = output[i];
+
+    if (typeof migration.version !== "number" || !(migration.version >= 0))
+      throw new SQLError("Invalid migration version '" + migration.version + "'");
+
+    if (i !== 0 && output[i - 1].version === migration.version)
+      throw new SQLError("Migration version '" + migration.version + "' is used more than once");
+  }
+
+  return output;
+}
+
+// ============================================================================
+// [SQLMigrator]
+// ============================================================================
+
+/**
+ * Schema migrator.
+ *
+ * Migrations are either loaded from `options.directory` or passed as an array
+ * of `{ version, name, up, down }` objects by `options.migrations`. The up and
+ * down steps are either SQL strings or functions that receive a transaction,
+ * see `SQLDriver.transaction()` for the supported function signatures.
+ *
+ * Each migration runs in its own transaction, which also records its version
+ * in the migrations table (`options.table`, "xpart_migrations" by default).
+ * The transaction takes a lock provided by the driver (an advisory lock in
+ * PostgreSQL) and checks the version again, so migrations run concurrently
+ * by multiple processes are applied only once.
+ *
+ * NOTE: MySQL commits DDL statements implicitly, so a failed migration can
+ * be applied partially in that case.
+ */
+class SQLMigrator {
+  constructor(driver, options) {
+    const table = (options && options.table) || "xpart_migrations";
+
+    if (!/^[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)?$/.test(table))
+      throw new SQLError("Invalid migrations table '" + table + "'");
+
+    if (!options || (!options.directory && !options.migrations))
+      throw new SQLError("Migrator requires either 'directory' or 'migrations' option");
+
+    this._driver = driver;                       // SQL driver.
+    this._table = table;                         // Migrations table.
+    this._directory = options.directory || null; // Directory of migration files.
+    this._migrations = options.migrations ? normalizeMigrations(options.migrations) : null;
+  }
+
+  /**
+   * Applies all pending migrations.
+   *
+   * @param {function} [cb] Called with an array of applied migrations.
+   * @return {Promise|undefined} Promise if called without a callback.
+   */
+  migrate(cb) {
+    const self = this;
+
+    if (typeof cb !== "function")
+      return callAsPromise(function(cb) { self.migrate(cb); });
+
+    this._prepare(function(err, migrations, applied) {
+      if (err)
+        return cb(err, null);
+      self._run(migrations, applied, Infinity, cb);
+    });
+  }
+
+  /**
+   * Rolls back the last `steps` applied migrations.
+   *
+   * @param {number} [steps] Number of migrations to roll back (1 by default).
+   * @param {function} [cb] Called with an array of rolled back migrations.
+   * @return {Promise|undefined} Promise if called without a callback.
+   */
+  rollback(steps, cb) {
+    const self = this;
+
+    if (typeof steps === "function") {
+      cb = steps;
+      steps = 1;
+    }
+
+    if (typeof cb !== "function")
+      return callAsPromise(function(cb) { self.rollback(steps, cb); });
+
+    if (steps == null)
+      steps = 1;
+
+    this._prepare(function(err, migrations, applied) {
+      if (err)
+        return cb(err, null);
+
+      const versions = Object.keys(applied).map(Number).sort(function(a, b) { return b - a; });
+      const target = steps < versions.length ? versions[steps] : -1;
+
+      self._run(migrations, applied, target, cb);
+    });
+  }
+
+  /**
+   * Returns the status of all migrations.
+   *
+   * @param {function} [cb] Called with an array of `{ version, name, applied,
+   *   appliedAt }` objects. Applied migrations that don't exist anymore are
+   *   included as well, having `missing` set to true.
+   * @return {Promise|undefined} Promise if called without a callback.
+   */
+  status(cb) {
+    const self = this;
+
+    if (typeof cb !== "function")
+      return callAsPromise(function(cb) { self.status(cb); });
+
+    this._prepare(function(err, migrations, applied) {
+      if (err)
+        return cb(err, null);
+
+      const result = [];
+      const known = {};
+
+      for (var i = 0; i < migrations.length; i++) {
+        const migration = migrations[i];
+        const row = applied[migration.version] || null;
+
+        known[migration.version] = true;
+        result.push({
+          version  : migration.version,
+          name     : migration.name,
+          applied  : row !== null,
+          appliedAt: row ? row.applied_at : null,
+          missing  : false
+        });
+      }
+
+      for (var version in applied) {
+        if (!known[version]) {
+          result.push({
+            version  : Number(version),
+            name     : applied[version].name,
+            applied  : true,
+            appliedAt: applied[version].applied_at,
+            missing  : true
+          });
+        }
+      }
+
+      result.sort(function(a, b) { return a.version - b.version; });
+      cb(null, result);
+    });
+  }
+
+  /**
+   * Migrates the schema to `version`. Pending migrations up to `version` are
+   * applied and applied migrations above `version` are rolled back.
+   *
+   * @param {number} version Target version (0 rolls back everything), which
+   *   must be a version of a known or applied migration.
+   * @param {function} [cb] Called with an array of applied or rolled back
+   *   migrations.
+   * @return {Promise|undefined} Promise if called without a callback.
+   */
+  to(version, cb) {
+    const self = this;
+
+    if (typeof cb !== "function")
+      return callAsPromise(function(cb) { self.to(version, cb); });
+
+    if (typeof version !== "number" || !(version >= 0 && version % 1 === 0))
+      return setImmediate(cb, new SQLError("Invalid migration version '" + version + "'"), null);
+
+    this._prepare(function(err, migrations, applied) {
+      if (err)
+        return cb(err, null);
+
+      const known = version === 0 || applied[version] || migrations.some(function(migration) {
+        return migration.version === version;
+      });
+
+      if (!known)
+        return cb(new SQLError("Unknown migration version '" + version + "'"), null);
+
+      self._run(migrations, applied, version, cb);
+    });
+  }
+
+  /**
+   * Loads migrations, creates the migrations table if it doesn't exist, and
+   * reads applied versions. Both run in a transaction that holds the lock, so
+   * concurrent processes don't create the table at the same time.
+   *
+   * @private
+   */
+  _prepare(cb) {
+    const self = this;
+    const driver = this._driver;
+
+    var migrations = this._migrations;
+    if (migrations === null) {
+      try {
+        migrations = loadMigrations(this._directory);
+      }
+      catch (err) {
+        return setImmediate(cb, err, null, null);
+      }
+    }
+
+    const lock = driver._getMigrationLock(this._table);
+    const qs = "CREATE TABLE IF NOT EXISTS " + this._table + " (" +
+                 "version BIGINT NOT NULL PRIMARY KEY, " +
+                 "name VARCHAR(255) NOT NULL, " +
+                 "applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP" +
+               ");";
+
+    driver.begin(function(err, tx) {
+      if (err)
+        return cb(err, null, null);
+
+      function fail(err) {
+        tx.rollback(function() { cb(err, null, null); });
+      }
+
+      function lockAndCreate() {
+        if (!lock)
+          return create();
+
+        tx.query(lock.qs, lock.values, function(err) {
+          if (err)
+            return fail(err);
+          create();
+        });
+      }
+
+      function create() {
+        tx.query(qs, function(err) {
+          if (err)
+            return fail(err);
+          read();
+        });
+      }
+
+      function read() {
+        tx.query("SELECT version, name, applied_at FROM " + self._table + ";", function(err, result) {
+          if (err)
+            return fail(err);
+
+          const applied = {};
+          const rows = result.rows || [];
+
+          for (var i = 0; i < rows.length; i++)
+            applied[Number(rows[i].version)] = rows[i];
+
+          tx.commit(function(err) {
+            if (err)
+              return cb(err, null, null);
+            cb(null, migrations, applied);
+          });
+        });
+      }
+
+      lockAndCreate();
+    });
+  }
+
+  /**
+   * Rolls back applied migrations above `target` (from the newest) and then
+   * applies pending migrations up to `target` (from the oldest).
+   *
+   * @private
+   */
+  _run(migrations, applied, target, cb) {
+    const self = this;
+    const plan = [];
+    const byVersion = {};
+
+    for (var i = 0; i < migrations.length; i++)
+      byVersion[migrations[i].version] = migrations[i];
+
+    const down = Object.keys(applied).map(Number).filter(function(version) {
+      return version > target;
+    }).sort(function(a, b) { return b - a; });
+
+    for (var j = 0; j < down.length; j++) {
+      const migration = byVersion[down[j]];
+      if (!migration)
+        return setImmediate(cb, new SQLError("Cannot roll back migration '" + down[j] + "': Not found"), null);
+
+      if (!migration.down)
+        return setImmediate(cb, new SQLError("Cannot roll back migration '" + down[j] + "': It has no down step"), null);
+
+      plan.push({ migration: migration, up: false });
+    }
+
+    for (var k = 0; k < migrations.length; k++) {
+      const migration = migrations[k];
+      if (migration.version <= target && !applied[migration.version])
+        plan.push({ migration: migration, up: true });
+    }
+
+    const done = [];
+    var index = 0;
+
+    function next(err, changed) {
+      if (err)
+        return cb(err, done);
+
+      if (changed)
+        done.push(plan[index - 1].migration);
+
+      if (index === plan.length)
+        return cb(null, done);
+
+      const step = plan[index++];
+      self._apply(step.migration, step.up, next);
+    }
+
+    next(null, false);
+  }
+
+  /**
+   * Applies (`up` is true) or rolls back a `migration` in a transaction. The
+   * callback receives whether the migration has been applied or rolled back,
+   * which is false if another process did it in the meantime.
+   *
+   * @private
+   */
+  _apply(migration, up, cb) {
+    const self = this;
+    const driver = this._driver;
+    const table = this._table;
+    const lock = driver._getMigrationLock(table);
+    const p1 = driver._getPlaceholder(1);
+    const p2 = driver._getPlaceholder(2);
+
+    driver.begin(function(err, tx) {
+      if (err)
+        return cb(err, false);
+
+      function fail(err) {
+        tx.rollback(function() {
+          cb(new SQLError("Migration '" + migration.version + "_" + migration.name + "' failed: " + err.message, {
+            code : err.code || null,
+            cause: err
+          }), false);
+        });
+      }
+
+      function lockAndCheck() {
+        if (!lock)
+          return check();
+
+        tx.query(lock.qs, lock.values, function(err) {
+          if (err)
+            return fail(err);
+          check();
+        });
+      }
+
+      function check() {
+        tx.query("SELECT version FROM " + table + " WHERE version = " + p1 + ";", [migration.version], function(err, result) {
+          if (err)
+            return fail(err);
+
+          // Already applied or rolled back by another process.
+          const exists = Boolean(result.rows && result.rows.length);
+          if (exists === up)
+            return tx.rollback(function(err) { cb(err, false); });
+
+          run();
+        });
+      }
+
+      function run() {
+        const step = up ? migration.up : migration.down;
+
+        function onDone(err) {
+          if (err)
+            return fail(err);
+          record();
+        }
+
+        if (typeof step === "function")
+          return callTransactionFn(step, tx, onDone);
+
+        if (driver._canJoinStatements(null))
+          return tx.query(step, onDone);
+
+        // The engine executes only one statement per query.
+        const statements = splitSQLStatements(step);
+        var index = 0;
+
+        function next(err) {
+          if (err || index === statements.length)
+            return onDone(err || null);
+          tx.query(statements[index++], next);
+        }
+
+        next(null);
+      }
+
+      function record() {
+        const qs = up
+          ? "INSERT INTO " + table + " (version, name) VALUES (" + p1 + ", " + p2 + ");"
+          : "DELETE FROM " + table + " WHERE version = " + p1 + ";";
+        const values = up ? [migration.version, migration.name] : [migration.version];
+
+        tx.commit(qs, values, function(err) {
+          if (err)
+            return cb(err, false);
+          cb(null, true);
+        });
+      }
+
+      lockAndCheck();
+    });
+  }
+}
+exports.SQLMigrator = SQLMigrator;
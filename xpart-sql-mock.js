@@ -0,0 +1,445 @@
+"use strict";
+
+const core = require("./xpart-sql");
+
+const SQLError = core.SQLError;
+const SQLDriver = core.SQLDriver;
+const SQLClient = core.SQLClient;
+
+// ============================================================================
+// [Utils]
+// ============================================================================
+
+/**
+ * Creates a new `MockDriver` instance.
+ */
+function new_(app, config) {
+  return new MockDriver(app, config);
+}
+exports.new = new_;
+
+/**
+ * Matches statements that control transactions, which always succeed unless
+ * a response matching them has been registered.
+ */
+const reTxQuery = /^\s*(?:BEGIN|START\s+TRANSACTION|COMMIT|ROLLBACK|SAVEPOINT|RELEASE)\b/i;
+
+/**
+ * Normalizes a query string `qs` so queries can be matched regardless of
+ * whitespace and the trailing semicolon.
+ *
+ * @param {string} qs Query string.
+ * @return {string} Normalized query string.
+ */
+function normalizeQuery(qs) {
+  return String(qs).replace(/\s+/g, " ").replace(/\s*;\s*$/, "").trim();
+}
+exports.normalizeQuery = normalizeQuery;
+
+/**
+ * Creates an error as it would be returned by a backend from `err`, which is
+ * either an `Error` (returned as is), a message, or an object that has the
+ * `message` and `code` (SQLSTATE) and optionally other `SQLError` fields.
+ *
+ * @private
+ */
+function makeBackendError(err) {
+  if (err instanceof Error)
+    return err;
+
+  if (typeof err === "string")
+    return new Error(err);
+
+  const error = new Error(err.message || "Mock error");
+  for (var k in err)
+    if (k !== "message")
+      error[k] = err[k];
+  return error;
+}
+
+/**
+ * Creates an error of a lost connection.
+ *
+ * @private
+ */
+function makeConnectionLostError() {
+  const err = new Error("Connection terminated unexpectedly");
+  err.code = "08006";
+  return err;
+}
+
+// ============================================================================
+// [MockConnection]
+// ============================================================================
+
+/**
+ * Simulated connection used by `MockClient`.
+ *
+ * @private
+ */
+class MockConnection {
+  constructor(id) {
+    this.id = id;              // Connection ID, used by the query log.
+    this.lost = false;         // True if the connection has been lost.
+    this.closed = false;       // True if the connection has been closed.
+  }
+}
+
+// ============================================================================
+// [MockDriver]
+// ============================================================================
+
+/**
+ * Mock database driver, which doesn't connect anywhere and answers queries by
+ * responses registered by `mock()` and `mockError()`. It's intended to test
+ * code that uses the driver without a database server.
+ *
+ * The driver uses the same pool, queue, and transaction handling as other
+ * drivers. Each statement is executed separately (including `BEGIN`, `COMMIT`
+ * and `ROLLBACK`) unless `multiStatements` is enabled, and recorded together
+ * with its transaction ID, see `getQueries()`.
+ *
+ * Mock specific options:
+ *   - `queryDelay` - Delay of each query in milliseconds (0 by default).
+ *   - `connectDelay` - Delay of each connection attempt in milliseconds.
+ *   - `strict` - Fail queries that don't match any response, except the ones
+ *     that control transactions. Queries that don't match return no rows if
+ *     not strict.
+ *   - `multiStatements` - Join statements that begin and end transactions
+ *     with the query like engines that can execute multiple statements at
+ *     once do, each joined query is recorded as a single query (false by
+ *     default).
+ */
+class MockDriver extends SQLDriver {
+  constructor(app, config) {
+    super(app, config);
+
+    var internal = this._internal;
+    internal.dialect = "mock";
+
+    // There is no backend module, connections are simulated.
+    if (internal.impl === null)
+      internal.impl = MockConnection;
+
+    // Generic options.
+    this._postConfigure(config, {
+      driver: null
+    });
+
+    // Mock specific options.
+    internal.queryDelay = config.queryDelay || 0;
+    internal.connectDelay = config.connectDelay || 0;
+    internal.strict = Boolean(config.strict);
+    internal.multiStatements = Boolean(config.multiStatements);
+
+    internal.mockResponses = [];         // Registered responses.
+    internal.mockQueries = [];           // Log of executed queries.
+    internal.mockConnections = [];       // Open connections.
+    internal.mockConnectionId = 0;       // Connection ID generator.
+    internal.mockConnectFailures = 0;    // Number of connection attempts to fail.
+    internal.mockConnectError = null;    // Error of failed connection attempts.
+  }
+
+  /**
+   * Registers a `response` of queries matching `pattern`.
+   *
+   * Responses are matched in reverse order, so a response registered later
+   * overrides the ones registered earlier (useful to override a default with
+   * a response used only once).
+   *
+   * @param {string|RegExp} pattern Query string, which must match the whole
+   *   query (whitespace and the trailing semicolon are ignored), or a regular
+   *   expression tested against the query.
+   * @param {object|array|function} response Array of rows, or an object:
+   *   - `rows` - Rows returned (`null` by default).
+   *   - `count` - Number of rows affected (the number of rows by default).
+   *   - `error` - Error returned instead of the result, see `mockError()`.
+   *   - `delay` - Delay of the query in milliseconds, overrides `queryDelay`.
+   *   - `disconnect` - Simulate a connection lost while executing the query.
+   *   - `times` - How many times the response is used (unlimited by default).
+   *   If a function is given it's called with the query string and values
+   *   and returns the response, which is used once per call.
+   * @return {this}
+   */
+  mock(pattern, response) {
+    const times = (response && response.times != null) ? response.times : Infinity;
+
+    this._internal.mockResponses.push({
+      pattern : typeof pattern === "string" ? normalizeQuery(pattern) : pattern,
+      response: response,
+      times   : times
+    });
+
+    return this;
+  }
+
+  /**
+   * Registers an error returned by queries matching `pattern`.
+   *
+   * @param {string|RegExp} pattern Query pattern, see `mock()`.
+   * @param {Error|string|object} err Error, message, or an object having the
+   *   `message` and `code` (SQLSTATE code), which is mapped to the same
+   *   `SQLError` subclass as an error returned by a real database.
+   * @param {object} [options] Other response options, see `mock()`.
+   * @return {this}
+   */
+  mockError(pattern, err, options) {
+    const response = { error: err };
+
+    if (options) {
+      for (var k in options)
+        response[k] = options[k];
+    }
+
+    return this.mock(pattern, response);
+  }
+
+  /**
+   * Returns all queries executed, in order. Each entry has:
+   *   - `qs` - Query string.
+   *   - `values` - Values bound to the query (or `null`).
+   *   - `txId` - Transaction ID, `null` if not part of a transaction.
+   *   - `connection` - ID of the connection that executed the query.
+   *
+   * @return {object[]}
+   */
+  getQueries() {
+    return this._internal.mockQueries.slice();
+  }
+
+  /**
+   * Clears the log of executed queries.
+   */
+  clearQueries() {
+    this._internal.mockQueries.length = 0;
+  }
+
+  /**
+   * Makes the next `count` connection attempts fail with `err`.
+   *
+   * @param {number} [count] Number of attempts to fail (all by default), 0
+   *   stops failing connection attempts.
+   * @param {Error|string|object} [err] Error, see `mockError()`.
+   */
+  failConnections(count, err) {
+    const internal = this._internal;
+
+    internal.mockConnectFailures = count == null ? Infinity : count;
+    internal.mockConnectError = err || null;
+  }
+
+  /**
+   * Simulates that all open connections have been lost. Each connection
+   * fails the next query it executes, which makes the driver discard it.
+   */
+  dropConnections() {
+    const connections = this._internal.mockConnections;
+    for (var i = 0; i < connections.length; i++)
+      connections[i].lost = true;
+  }
+
+  /**
+   * Removes all registered responses, clears the query log, and stops failing
+   * connection attempts.
+   */
+  resetMock() {
+    const internal = this._internal;
+
+    internal.mockResponses.length = 0;
+    internal.mockQueries.length = 0;
+    internal.mockConnectFailures = 0;
+    internal.mockConnectError = null;
+  }
+
+  /** @override */
+  _getBeginQuery(options) {
+    if (!options)
+      return "BEGIN;";
+
+    var qs = "BEGIN";
+
+    if (options.isolation)
+      qs += " ISOLATION LEVEL " + options.isolation;
+
+    if (options.readOnly !== null)
+      qs += options.readOnly ? " READ ONLY" : " READ WRITE";
+
+    // The same rule as PostgreSQL, which is the most restrictive engine.
+    if (options.deferrable) {
+      if (options.isolation !== "SERIALIZABLE" || options.readOnly !== true)
+        throw new SQLError("Deferrable transaction must be serializable and read-only");
+      qs += " DEFERRABLE";
+    }
+
+    return qs + ";";
+  }
+
+  /** @override */
+  _getErrorInfo(err) {
+    const info = super._getErrorInfo(err);
+
+    // Mocked errors can carry the same details as errors of real databases.
+    if (err.detail) info.detail = err.detail;
+    if (err.constraint) info.constraint = err.constraint;
+    if (err.table) info.table = err.table;
+    if (err.column) info.column = err.column;
+    if (err.position) info.position = err.position;
+
+    return info;
+  }
+
+  /**
+   * Returns a response matching the query `qs` and `values`, or `null` if no
+   * response matches.
+   *
+   * @private
+   */
+  _findResponse(qs, values) {
+    const responses = this._internal.mockResponses;
+    const normalized = normalizeQuery(qs);
+
+    for (var i = responses.length - 1; i >= 0; i--) {
+      const item = responses[i];
+      const pattern = item.pattern;
+
+      const matches = typeof pattern === "string" ? pattern === normalized : pattern.test(qs);
+      if (!matches)
+        continue;
+
+      if (--item.times <= 0)
+        responses.splice(i, 1);
+
+      const response = item.response;
+      return typeof response === "function" ? response(qs, values) : response;
+    }
+
+    return null;
+  }
+
+  /** @override */
+  _createClient(cb) {
+    var self = this;
+    var internal = this._internal;
+
+    function onConnect() {
+      if (internal.mockConnectFailures > 0) {
+        internal.mockConnectFailures--;
+
+        const err = internal.mockConnectError;
+        return cb(err ? makeBackendError(err) : new Error("Connection refused (mock)"), null);
+      }
+
+      const impl = new internal.impl(++internal.mockConnectionId);
+      internal.mockConnections.push(impl);
+      cb(null, new MockClient(self, impl));
+    }
+
+    if (internal.connectDelay > 0)
+      setTimeout(onConnect, internal.connectDelay);
+    else
+      setImmediate(onConnect);
+  }
+
+  /** @override */
+  _destroyClient(client) {
+    const connections = this._internal.mockConnections;
+    const index = connections.indexOf(client._impl);
+
+    if (index !== -1)
+      connections.splice(index, 1);
+
+    client._impl.closed = true;
+  }
+}
+exports.MockDriver = MockDriver;
+
+// ============================================================================
+// [MockClient]
+// ============================================================================
+
+/**
+ * Mock client.
+ */
+class MockClient extends SQLClient {
+  constructor(driver, impl) {
+    super(driver, impl);
+
+    this._mockTimer = null;    // Timer of the query being executed.
+    this._onQuery = MockClient.prototype._onQuery.bind(this);
+  }
+
+  /** @override */
+  _cancel() {
+    if (this._mockTimer === null)
+      return;
+
+    const err = new Error("Canceling statement due to user request");
+    err.code = "57014";
+
+    // The server reports the cancelled query asynchronously.
+    clearTimeout(this._mockTimer);
+    this._mockTimer = setTimeout(this._onQuery, 0, { error: err });
+  }
+
+  /** @override */
+  _query(qs, values) {
+    const driver = this._driver;
+    const internal = driver._internal;
+    const impl = this._impl;
+
+    internal.mockQueries.push({
+      qs        : qs,
+      values    : values || null,
+      txId      : this._txId !== -1 ? this._txId : null,
+      connection: impl.id
+    });
+
+    var response = null;
+    var delay = internal.queryDelay;
+
+    if (impl.lost) {
+      response = { error: makeConnectionLostError(), delay: 0 };
+    }
+    else {
+      try {
+        response = driver._findResponse(qs, values);
+      }
+      catch (err) {
+        response = { error: err };
+      }
+
+      if (response === null && internal.strict && !reTxQuery.test(qs))
+        response = { error: new SQLError("No mock response matches the query") };
+    }
+
+    if (response && response.delay != null)
+      delay = response.delay;
+
+    this._mockTimer = setTimeout(this._onQuery, delay, response);
+  }
+
+  /** @private */
+  _onQuery(response) {
+    this._mockTimer = null;
+
+    if (response === null)
+      return this._onQueryDone(null, { rows: [], count: 0 });
+
+    if (Array.isArray(response))
+      return this._onQueryDone(null, { rows: response.slice(), count: response.length });
+
+    if (response.disconnect) {
+      this._impl.lost = true;
+      return this._onQueryDone(makeConnectionLostError(), null);
+    }
+
+    if (response.error)
+      return this._onQueryDone(makeBackendError(response.error), null);
+
+    const rows = response.rows ? response.rows.slice() : null;
+    const count = response.count != null ? response.count : (rows ? rows.length : 0);
+
+    return this._onQueryDone(null, { rows: rows, count: count });
+  }
+}
+exports.MockClient = MockClient;
@@ -0,0 +1,283 @@
+"use strict";
+
+const core = require("./xpart-sql");
+
+const SQLError = core.SQLError;
+const SQLDriver = core.SQLDriver;
+const SQLClient = core.SQLClient;
+
+// ============================================================================
+// [Utils]
+// ============================================================================
+
+/**
+ * Creates a new `MySQLDriver` instance.
+ */
+function new_(app, config) {
+  return new MySQLDriver(app, config);
+}
+exports.new = new_;
+
+/**
+ * Converts `results` and `fields` returned by the `mysql` module into the
+ * `{ rows, count }` result used by all drivers.
+ *
+ * A multi-statement query (which is what a transacting query is, as it's
+ * wrapped by `START TRANSACTION` and `COMMIT`) returns one result per
+ * statement. In that case the rows of the last statement that returned rows
+ * are used; if no statement returned rows then `rows` is empty and `count` is
+ * the sum of all affected rows.
+ *
+ * @param {*} results Results returned by `mysql`.
+ * @param {*} fields Fields returned by `mysql`.
+ * @return {object} Normalized result.
+ */
+function normalizeResult(results, fields) {
+  // Single statement that doesn't return rows (INSERT, UPDATE, ...).
+  if (!Array.isArray(results))
+    return { rows: [], count: results.affectedRows };
+
+  // Single statement that returns rows (SELECT, ...). In that case `fields`
+  // is an array of field packets, otherwise it's an array where each item
+  // is either `undefined` or an array of field packets of each statement.
+  const isMulti = Array.isArray(fields) && fields.length !== 0 &&
+                  (fields[0] === undefined || Array.isArray(fields[0]));
+
+  if (!isMulti)
+    return { rows: results, count: results.length };
+
+  var count = 0;
+  for (var i = results.length - 1; i >= 0; i--) {
+    var result = results[i];
+
+    if (Array.isArray(result))
+      return { rows: result, count: result.length };
+
+    if (result && result.affectedRows)
+      count += result.affectedRows;
+  }
+
+  return { rows: [], count: count };
+}
+exports.normalizeResult = normalizeResult;
+
+// ============================================================================
+// [MySQLDriver]
+// ============================================================================
+
+/**
+ * MySQL and MariaDB database driver.
+ */
+class MySQLDriver extends SQLDriver {
+  constructor(app, config) {
+    super(app, config);
+
+    var internal = this._internal;
+    internal.dialect = "mysql";
+
+    // Generic options.
+    this._postConfigure(config, {
+      driver: "mysql"
+    });
+
+    // MySQL specific options, passed to `mysql.createConnection()` as is.
+    internal.mysqlOptions = config.mysqlOptions || null;
+  }
+
+  /** @override */
+  _getBeginQuery(options) {
+    if (!options)
+      return "START TRANSACTION;";
+
+    if (options.deferrable)
+      throw new SQLError("Deferrable transactions are not supported by MySQL");
+
+    // The isolation level cannot be specified by START TRANSACTION, however,
+    // SET TRANSACTION without GLOBAL or SESSION applies to the next one only.
+    var qs = "";
+    if (options.isolation)
+      qs = "SET TRANSACTION ISOLATION LEVEL " + options.isolation + ";\n";
+
+    qs += "START TRANSACTION";
+    if (options.readOnly !== null)
+      qs += options.readOnly ? " READ ONLY" : " READ WRITE";
+
+    return qs + ";";
+  }
+
+  /** @override */
+  _getErrorInfo(err) {
+    const info = super._getErrorInfo(err);
+    const message = err.sqlMessage || err.message;
+
+    var m;
+    if (info.code === null && err.sqlState && err.sqlState !== "HY000")
+      info.code = err.sqlState;
+
+    // MySQL reports all constraint violations as SQLSTATE 23000, the error
+    // code and the message have to be used to get the details.
+    switch (err.code) {
+      case "ER_DUP_ENTRY":
+        info.code = "23505";
+        if ((m = /for key '(?:([^'.]+)\.)?([^']+)'/.exec(message))) {
+          info.table = m[1] || null;
+          info.constraint = m[2];
+        }
+        break;
+
+      case "ER_ROW_IS_REFERENCED_2":
+      case "ER_NO_REFERENCED_ROW_2":
+        info.code = "23503";
+        if ((m = /\(`[^`]+`\.`([^`]+)`, CONSTRAINT `([^`]+)` FOREIGN KEY \(`([^`]+)`/.exec(message))) {
+          info.table = m[1];
+          info.constraint = m[2];
+          info.column = m[3];
+        }
+        break;
+
+      case "ER_BAD_NULL_ERROR":
+        info.code = "23502";
+        if ((m = /^Column '([^']+)'/.exec(message)))
+          info.column = m[1];
+        break;
+
+      case "PROTOCOL_CONNECTION_LOST":
+        info.code = "08006";
+        break;
+
+      default:
+        // A fatal error means that the connection cannot be used anymore.
+        if (err.fatal && info.code === null)
+          info.code = "08006";
+        break;
+    }
+
+    return info;
+  }
+
+  /**
+   * Returns options passed to `mysql.createConnection()`.
+   *
+   * @private
+   */
+  _getConnectionOptions() {
+    var internal = this._internal;
+    var options = {
+      host    : internal.host || "localhost",
+      port    : internal.port || 3306,
+      user    : internal.username,
+      password: internal.password,
+      database: internal.database,
+
+      // Required as transacting queries are sent together with the statement
+      // that begins and/or ends the transaction.
+      multipleStatements: true
+    };
+
+    var mysqlOptions = internal.mysqlOptions;
+    if (mysqlOptions) {
+      for (var k in mysqlOptions)
+        options[k] = mysqlOptions[k];
+    }
+
+    return options;
+  }
+
+  /** @override */
+  _createClient(cb) {
+    var self = this;
+
+    var internal = this._internal;
+    var impl = internal.impl.createConnection(this._getConnectionOptions());
+    impl.connect(function(err) {
+      if (err)
+        return cb(err, null);
+      cb(null, new MySQLClient(self, impl));
+    });
+  }
+
+  /** @override */
+  _destroyClient(client) {
+    client._impl.end();
+  }
+}
+exports.MySQLDriver = MySQLDriver;
+
+// ============================================================================
+// [MySQLClient]
+// ============================================================================
+
+/**
+ * MySQL client.
+ */
+class MySQLClient extends SQLClient {
+  constructor(driver, impl) {
+    super(driver, impl);
+
+    this._onQuery = MySQLClient.prototype._onQuery.bind(this);
+    this._onError = MySQLClient.prototype._onError.bind(this);
+
+    // A fatal error that is not related to a query (like a connection reset)
+    // is emitted as an event, which would throw if there is no listener.
+    impl.on("error", this._onError);
+  }
+
+  /** @override */
+  _cancel() {
+    // The client's connection is busy, so the query has to be killed through
+    // a new connection.
+    var self = this;
+    var driver = this._driver;
+    var threadId = this._impl.threadId;
+    var queryId = this._queryId;
+    var impl = driver._internal.impl.createConnection(driver._getConnectionOptions());
+
+    function onError(err) {
+      driver.app.error("[xpart.sql] Failed to cancel query: " + err.toString());
+    }
+
+    impl.on("error", onError);
+    impl.connect(function(err) {
+      if (err)
+        return onError(err);
+
+      // The query could have finished while connecting, the kill would hit
+      // the next query executed by the connection in that case.
+      if (!self._isQueryActive(queryId))
+        return impl.end();
+
+      impl.query("KILL QUERY ?", [threadId], function(err) {
+        impl.end();
+        if (err)
+          onError(err);
+      });
+    });
+  }
+
+  /** @override */
+  _query(qs, values) {
+    if (values)
+      this._impl.query(qs, values, this._onQuery);
+    else
+      this._impl.query(qs, this._onQuery);
+  }
+
+  /** @private */
+  _onQuery(err, results, fields) {
+    // A fatal error means that the connection cannot be used anymore.
+    if (err && err.fatal)
+      this._failed = true;
+
+    if (err)
+      return this._onQueryDone(err, null);
+
+    return this._onQueryDone(null, normalizeResult(results, fields));
+  }
+
+  /** @private */
+  _onError(err) {
+    this._driver.app.error("[xpart.sql] Connection: " + err.toString());
+    this._driver._onClientLost(this);
+  }
+}
+exports.MySQLClient = MySQLClient;
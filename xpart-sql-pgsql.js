@@ -1,10 +1,13 @@
 "use strict";
 
+const fs = require("fs");
+const querystring = require("querystring");
 const core = require("./xpart-sql");
 
 const SQLError = core.SQLError;
 const SQLDriver = core.SQLDriver;
 const SQLClient = core.SQLClient;
+const callAsPromise = core.callAsPromise;
 
 const hasOwn = Object.prototype.hasOwnProperty;
 
@@ -235,12 +238,443 @@ function initTypeParsers(impl, input) {
   }
 }
 
+/**
+ * Normalizes the list of hosts `input`, where each host is either an object
+ * having `host` and `port` or a string in "host[:port]" form (IPv6 addresses
+ * have to be enclosed in brackets).
+ *
+ * @param {Array} input Array of hosts.
+ * @return {object[]} Array of `{ host, port }` objects.
+ *
+ * @throws {SQLError} If a host is invalid.
+ */
+function normalizeHosts(input) {
+  const output = [];
+
+  for (var i = 0; i < input.length; i++) {
+    var entry = input[i];
+
+    if (typeof entry === "string") {
+      const m = /^(?:\[([^\]]+)\]|([^:]+))(?::(\d+))?$/.exec(entry);
+      if (!m)
+        throw new SQLError("Invalid host '" + entry + "'");
+      entry = { host: m[1] || m[2], port: m[3] ? Number(m[3]) : null };
+    }
+
+    if (!entry || !entry.host)
+      throw new SQLError("Invalid host at index " + i);
+
+    const port = entry.port ? Number(entry.port) : null;
+    if (port !== null && !(port >= 1 && port <= 65535 && port % 1 === 0))
+      throw new SQLError("Invalid port '" + entry.port + "' of host '" + entry.host + "'");
+
+    output.push({
+      host: entry.host,
+      port: port
+    });
+  }
+
+  return output;
+}
+exports.normalizeHosts = normalizeHosts;
+
+/**
+ * SSL modes (same as libpq's `sslmode`). The `pg` module cannot fall back to
+ * an unencrypted connection, so "allow" and "prefer" don't use SSL.
+ */
+const sslModes = [
+  "disable",
+  "allow",
+  "prefer",
+  "require",
+  "verify-ca",
+  "verify-full"
+];
+
+/**
+ * Parameters recognized in a connection string query.
+ */
+const connectionParams = [
+  "host",
+  "port",
+  "sslmode",
+  "sslrootcert",
+  "sslcert",
+  "sslkey",
+  "application_name",
+  "options",
+  "connect_timeout",
+  "statement_timeout"
+];
+
+/**
+ * Driver options that specify the connection, `DATABASE_URL` is not used if
+ * any of them is given.
+ */
+const connectionOptions = [
+  "hosts",
+  "host",
+  "socketPath",
+  "port",
+  "username",
+  "password",
+  "database"
+];
+
+/**
+ * @private
+ */
+function decodeURIPart(s) {
+  try {
+    return decodeURIComponent(s);
+  }
+  catch (ex) {
+    throw new SQLError("Invalid connection string: Malformed URI component");
+  }
+}
+
+/**
+ * Parses a PostgreSQL connection string in the URI form:
+ *
+ *   postgres://[user[:password]@][host[:port][,...]][/database][?param=value&...]
+ *
+ * A Unix socket directory can be given either URI encoded as a host or by
+ * the `host` parameter. The connection string is never included in errors as
+ * it may contain a password.
+ *
+ * @param {string} cs Connection string.
+ * @return {object} Parsed connection string.
+ *
+ * @throws {SQLError} If the connection string is invalid.
+ */
+function parseConnectionString(cs) {
+  const m = /^postgres(?:ql)?:\/\/(?:([^@\/?]*)@)?([^\/?]*)(?:\/([^?]*))?(?:\?(.*))?$/.exec(cs);
+  if (!m)
+    throw new SQLError("Invalid connection string: Expected 'postgres://' URI");
+
+  const out = { params: {} };
+
+  if (m[1]) {
+    const i = m[1].indexOf(":");
+    out.user = decodeURIPart(i === -1 ? m[1] : m[1].substr(0, i));
+    if (i !== -1)
+      out.password = decodeURIPart(m[1].substr(i + 1));
+  }
+
+  if (m[2])
+    out.hosts = m[2].split(",").map(function(host) {
+      // Encoded socket path, keep the port separated as it cannot be encoded.
+      const h = /^([^:\[]*|\[[^\]]*\])(?::(\d*))?$/.exec(host);
+      return h ? { host: decodeURIPart(h[1]).replace(/^\[(.*)\]$/, "$1"), port: h[2] || null } : host;
+    });
+
+  if (m[3])
+    out.database = decodeURIPart(m[3]);
+
+  const params = m[4] ? querystring.parse(m[4]) : {};
+  for (var k in params) {
+    if (connectionParams.indexOf(k) === -1)
+      throw new SQLError("Invalid connection string: Unknown parameter '" + k + "'");
+    out.params[k] = String(params[k]);
+  }
+
+  return out;
+}
+exports.parseConnectionString = parseConnectionString;
+
+/**
+ * Reads a file referenced by a SSL option `name` (like "sslrootcert").
+ *
+ * @private
+ */
+function readSSLFile(name, path) {
+  try {
+    return fs.readFileSync(path);
+  }
+  catch (ex) {
+    throw new SQLError("Cannot read '" + name + "' file '" + path + "': " + ex.message);
+  }
+}
+
+/**
+ * Returns the first value of `args` that is not `null` or `undefined`.
+ *
+ * @private
+ */
+function pick() {
+  for (var i = 0; i < arguments.length; i++)
+    if (arguments[i] != null)
+      return arguments[i];
+  return null;
+}
+
+/**
+ * Parses a non-negative integer `value` of an option `name`.
+ *
+ * @private
+ */
+function parseInteger(name, value) {
+  if (value == null || value === "")
+    return null;
+
+  const n = Number(value);
+  if (!(n >= 0 && n % 1 === 0))
+    throw new SQLError("Invalid '" + name + "' value '" + value + "'");
+  return n;
+}
+
+/**
+ * Resolves the connection configuration from the driver's `config`, which
+ * takes precedence, a connection string (`config.connectionString` or the
+ * `DATABASE_URL` environment variable), and the standard `PG*` environment
+ * variables (`PGHOST`, `PGPORT`, `PGUSER`, `PGPASSWORD`, `PGDATABASE`,
+ * `PGSSLMODE`, `PGSSLROOTCERT`, `PGSSLCERT`, `PGSSLKEY`, `PGAPPNAME`,
+ * `PGOPTIONS`, and `PGCONNECT_TIMEOUT`).
+ *
+ * `DATABASE_URL` is only used if `config` has no connection options (see
+ * `connectionOptions`) and if it's a PostgreSQL URI, as it may be meant for
+ * another database. Hosts are taken from `config.hosts`, `config.host`, and
+ * `config.socketPath`, in this order.
+ *
+ * @param {object} config Driver's configuration (see `PGSQLDriver`).
+ * @param {object} env Environment variables.
+ * @return {object} Resolved configuration.
+ *
+ * @throws {SQLError} If the configuration is invalid.
+ */
+function resolveConnectionConfig(config, env) {
+  var cs = config.connectionString || "";
+  if (!cs && env.DATABASE_URL && /^postgres(?:ql)?:\/\//.test(env.DATABASE_URL)) {
+    var explicit = false;
+    for (var i = 0; i < connectionOptions.length; i++)
+      if (config[connectionOptions[i]] != null)
+        explicit = true;
+
+    if (!explicit)
+      cs = env.DATABASE_URL;
+  }
+
+  const url = cs ? parseConnectionString(cs) : { params: {} };
+  const params = url.params;
+
+  // Hosts, the default port applies to hosts that don't specify one.
+  var hosts;
+  if (config.hosts && config.hosts.length)
+    hosts = config.hosts;
+  else if (config.host)
+    hosts = [{ host: config.host, port: config.port }];
+  else if (config.socketPath)
+    hosts = [config.socketPath];
+  else if (params.host)
+    hosts = [params.host];
+  else if (url.hosts)
+    hosts = url.hosts;
+  else if (env.PGHOST)
+    hosts = env.PGHOST.split(",");
+  else
+    hosts = ["localhost"];
+
+  hosts = normalizeHosts(hosts);
+
+  const port = parseInteger("port", pick(config.port, params.port, env.PGPORT));
+  for (var i = 0; i < hosts.length; i++) {
+    if (hosts[i].port === null && port !== null)
+      hosts[i].port = normalizeHosts([{ host: hosts[i].host, port: port }])[0].port;
+  }
+
+  // SSL is used if `sslmode` requires it or if `config.ssl` is given without
+  // `sslmode`. The `config.ssl` object provides options passed to `tls`.
+  const sslmode = pick(config.sslmode, params.sslmode, env.PGSSLMODE);
+  if (sslmode !== null && sslModes.indexOf(sslmode) === -1)
+    throw new SQLError("Invalid 'sslmode' value '" + sslmode + "'");
+
+  var ssl = false;
+  if (sslmode === null) {
+    if (config.ssl)
+      ssl = config.ssl === true ? {} : config.ssl;
+  }
+  else if (sslmode === "require" || sslmode === "verify-ca" || sslmode === "verify-full") {
+    ssl = {};
+
+    // Without verification the certificate is not checked at all, "verify-ca"
+    // checks the certificate, but not the host name.
+    if (sslmode === "require")
+      ssl.rejectUnauthorized = false;
+    else if (sslmode === "verify-ca")
+      ssl.checkServerIdentity = function() { return undefined; };
+
+    if (config.ssl && typeof config.ssl === "object") {
+      for (var k in config.ssl)
+        ssl[k] = config.ssl[k];
+    }
+  }
+
+  if (ssl) {
+    if (typeof ssl !== "object")
+      throw new SQLError("Invalid 'ssl' option, expected an object or a boolean");
+
+    const sslFiles = {
+      ca  : ["sslrootcert", pick(params.sslrootcert, env.PGSSLROOTCERT)],
+      cert: ["sslcert"    , pick(params.sslcert    , env.PGSSLCERT    )],
+      key : ["sslkey"     , pick(params.sslkey     , env.PGSSLKEY     )]
+    };
+
+    for (var key in sslFiles) {
+      const file = sslFiles[key];
+      if (file[1] !== null && ssl[key] == null)
+        ssl[key] = readSSLFile(file[0], file[1]);
+    }
+  }
+
+  // Startup parameters, `options` is passed as is, other parameters are
+  // appended as `-c name=value`.
+  var options = pick(config.pgOptions, params.options, env.PGOPTIONS) || "";
+  const startupParameters = config.startupParameters;
+
+  if (startupParameters) {
+    for (var name in startupParameters) {
+      if (!/^[a-z_][a-z0-9_.]*$/i.test(name))
+        throw new SQLError("Invalid startup parameter '" + name + "'");
+
+      const value = String(startupParameters[name]).replace(/\\/g, "\\\\").replace(/ /g, "\\ ");
+      options += (options ? " " : "") + "-c " + name + "=" + value;
+    }
+  }
+
+  // `connect_timeout` is in seconds, `connectTimeout` in milliseconds.
+  var connectTimeout = parseInteger("connectTimeout", config.connectTimeout);
+  if (connectTimeout === null) {
+    const seconds = parseInteger("connect_timeout", pick(params.connect_timeout, env.PGCONNECT_TIMEOUT));
+    if (seconds !== null)
+      connectTimeout = seconds * 1000;
+  }
+
+  return {
+    hosts           : hosts,
+    user            : pick(config.username, url.user, env.PGUSER),
+    password        : pick(typeof config.password === "function" ? null : config.password, url.password, env.PGPASSWORD),
+    database        : pick(config.database, url.database, env.PGDATABASE),
+    ssl             : ssl,
+    applicationName : pick(config.applicationName, params.application_name, env.PGAPPNAME),
+    statementTimeout: parseInteger("statementTimeout", pick(config.statementTimeout, params.statement_timeout)),
+    options         : options || null,
+    connectTimeout  : connectTimeout
+  };
+}
+exports.resolveConnectionConfig = resolveConnectionConfig;
+
+/**
+ * Quotes a PostgreSQL identifier, used by LISTEN and UNLISTEN.
+ *
+ * @private
+ */
+function quoteIdentifier(name) {
+  return "\"" + String(name).replace(/"/g, "\"\"") + "\"";
+}
+
+/**
+ * Quotes a PostgreSQL string literal, used by COPY options.
+ *
+ * @private
+ */
+function quoteLiteral(value) {
+  return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+/**
+ * Returns the `WITH (...)` clause of a COPY statement based on `options`.
+ *
+ * @private
+ */
+function getCopyOptions(options) {
+  const format = (options && options.format) || "text";
+  if (format !== "text" && format !== "csv")
+    throw new SQLError("Invalid COPY format '" + format + "'");
+
+  var qs = " WITH (FORMAT " + format;
+  if (options) {
+    if (options.header)
+      qs += ", HEADER true";
+
+    if (options.delimiter != null)
+      qs += ", DELIMITER " + quoteLiteral(options.delimiter);
+
+    if (options.null != null)
+      qs += ", NULL " + quoteLiteral(options.null);
+  }
+  return qs + ")";
+}
+
+/**
+ * Normalizes a result returned by `pg` to `{ rows, count }` result used by all
+ * drivers.
+ *
+ * A multi-statement query (which is what a transacting query is, as it's
+ * wrapped by `BEGIN` and `COMMIT`) returns one result per statement. In that
+ * case the rows of the last statement that returned rows are used; if no
+ * statement returned rows then `rows` is empty and `count` is the sum of all
+ * affected rows.
+ *
+ * @param {*} result Result returned by `pg`.
+ * @return {object} Normalized result.
+ */
+function normalizeResult(result) {
+  if (!Array.isArray(result))
+    return { rows: result.rows || null, count: result.rowCount };
+
+  var count = 0;
+  for (var i = result.length - 1; i >= 0; i--) {
+    var r = result[i];
+
+    if (r.fields && r.fields.length !== 0)
+      return { rows: r.rows, count: r.rowCount };
+
+    if (r.rowCount)
+      count += r.rowCount;
+  }
+
+  return { rows: [], count: count };
+}
+exports.normalizeResult = normalizeResult;
+
+/**
+ * COPY operation passed to `PGSQLClient._query()` instead of query values, so
+ * it goes through the same path as any other query (queue, transactions and
+ * timeouts).
+ *
+ * @private
+ */
+class CopyTask {
+  constructor(source, sink, end) {
+    this.source = source;      // Readable stream (COPY FROM).
+    this.sink = sink;          // Writable stream (COPY TO).
+    this.end = end;            // End the sink when COPY TO finishes.
+  }
+}
+
 // ============================================================================
 // [PGSQLDriver]
 // ============================================================================
 
 /**
  * PostgreSQL database driver.
+ *
+ * Connection options (in addition to `host`, `port`, `username`, `password`,
+ * and `database`), see `resolveConnectionConfig()` for their precedence:
+ *
+ *   - `connectionString` - PostgreSQL URI, `DATABASE_URL` if neither the
+ *     connection string nor other connection options are given.
+ *   - `hosts` - Hosts tried in order until a writable primary is found.
+ *   - `socketPath` - Directory of the Unix socket, used if `host` is not
+ *     given.
+ *   - `sslmode` - SSL mode ("disable", "require", "verify-ca", "verify-full").
+ *   - `ssl` - `true` or options passed to `tls.connect()` (`ca`, `cert`, `key`,
+ *     `rejectUnauthorized`, etc).
+ *   - `applicationName` - Application name reported to the server.
+ *   - `statementTimeout` - Server-side statement timeout [ms].
+ *   - `connectTimeout` - Connection timeout [ms].
+ *   - `startupParameters` - Other run-time parameters, like `search_path`.
+ *   - `env` - Environment variables (defaults to `process.env`).
  */
 class PGSQLDriver extends SQLDriver {
   constructor(app, config) {
@@ -248,6 +682,7 @@ class PGSQLDriver extends SQLDriver {
 
     var internal = this._internal;
     internal.dialect = "pgsql";
+    internal.cursors = true;
 
     // Generic options.
     this._postConfigure(config, {
@@ -257,25 +692,694 @@ class PGSQLDriver extends SQLDriver {
     // PostgreSQL specific options.
     if (config.pgTypeParsers)
       internal.pgTypeParsers = normalizeTypeParsers(config.pgTypeParsers);
+
+    // Connection configuration, validated here so the driver fails early.
+    const connection = resolveConnectionConfig(config, config.env || process.env);
+
+    internal.username = connection.user;
+    internal.password = internal.credentialsFn ? null : connection.password;
+    internal.database = connection.database;
+    internal.pgConnection = connection;
+
+    // Multiple hosts are tried in order until a writable primary is found,
+    // the index of the current primary is remembered. Clients connected to
+    // a previous primary have an older generation and are not reused. Only
+    // one client searches for a new primary at a time, others wait for it.
+    internal.hosts = connection.hosts;
+    internal.hostIndex = 0;
+    internal.generation = 0;
+    internal.hostSearch = null;
+
+    // LISTEN/NOTIFY uses a dedicated connection, which is not pooled.
+    internal.listener = null;            // Listening connection (pg.Client).
+    internal.listenerReady = false;      // True if the listening connection is connected.
+    internal.listenerConnecting = false; // True if credentials are being refreshed before connecting.
+    internal.listenerWaiting = [];       // Callbacks waiting for the listening connection.
+    internal.listenerFailures = 0;       // Number of failed attempts to (re)connect.
+    internal.listenerTimer = null;       // Timer of a delayed reconnect.
+    internal.listenHandlers = {};        // Channel to array of handlers mapping.
+    internal.listenPending = {};         // Channel to callbacks waiting for its LISTEN.
+
+    // COPY uses `pg-copy-streams`, which is loaded on first use.
+    internal.copyStreams = config.copyStreams || null;
+
+    // Maximum number of prepared statements kept by each client.
+    internal.maxStatements = config.maxPreparedStatements || 100;
+  }
+
+  /**
+   * Loads rows from a readable stream `source` into `table` by using
+   * `COPY ... FROM STDIN`. The stream has to provide data in the format
+   * specified by `options.format`. The result's `count` is the number of
+   * rows copied.
+   *
+   * @param {string} table Table name, can be qualified by a schema.
+   * @param {?string[]} columns Columns to copy, all columns if `null`.
+   * @param {Readable} source Stream of the data to copy.
+   * @param {function} [cb] Called when the data has been copied.
+   * @param {object} [options] Transaction (`SQLClient`) or copy options:
+   *   - `tx` - Transaction.
+   *   - `format` - Data format, either "text" (default) or "csv".
+   *   - `header` - Whether the CSV data has a header line.
+   *   - `delimiter` - Column delimiter.
+   *   - `null` - String that represents a NULL value.
+   *   - `timeout` - Timeout in milliseconds.
+   * @return {Promise|undefined} Promise if called without a callback.
+   */
+  copyFrom(table, columns, source, cb, options) {
+    const self = this;
+
+    if (typeof cb !== "function")
+      return callAsPromise(function(cb) { self.copyFrom(table, columns, source, cb, options); });
+
+    var qs = "COPY " + String(table).split(".").map(quoteIdentifier).join(".");
+    if (columns && columns.length)
+      qs += " (" + columns.map(quoteIdentifier).join(", ") + ")";
+
+    try {
+      qs += " FROM STDIN" + getCopyOptions(options instanceof SQLClient ? null : options) + ";";
+    }
+    catch (err) {
+      setImmediate(cb, err, null);
+      return;
+    }
+
+    return this.query(qs, new CopyTask(source, null, true), cb, options);
+  }
+
+  /**
+   * Writes the result of a query `q` into a writable stream `sink` by using
+   * `COPY (...) TO STDOUT`. The data is written in the format specified by
+   * `options.format`. The result's `count` is the number of rows copied.
+   *
+   * @param {*} q Query string or a query-builder object (cannot bind values).
+   * @param {Writable} sink Stream to write the data to.
+   * @param {function} [cb] Called when the data has been copied.
+   * @param {object} [options] Transaction (`SQLClient`) or copy options, see
+   *   `copyFrom()`, and:
+   *   - `end` - Whether to end `sink` when finished (defaults to true).
+   * @return {Promise|undefined} Promise if called without a callback.
+   */
+  copyTo(q, sink, cb, options) {
+    const self = this;
+
+    if (typeof cb !== "function")
+      return callAsPromise(function(cb) { self.copyTo(q, sink, cb, options); });
+
+    const copyOptions = options instanceof SQLClient ? null : options;
+    var qs = "COPY (" + this._internal.compiler.compile(q).replace(/;\s*$/, "") + ") TO STDOUT";
+
+    try {
+      qs += getCopyOptions(copyOptions) + ";";
+    }
+    catch (err) {
+      setImmediate(cb, err, null);
+      return;
+    }
+
+    return this.query(qs, new CopyTask(null, sink, !copyOptions || copyOptions.end !== false), cb, options);
+  }
+
+  /**
+   * Returns the `pg-copy-streams` module.
+   *
+   * @private
+   */
+  _getCopyStreams() {
+    const internal = this._internal;
+
+    // Throws if the package is not installed, COPY cannot work without it.
+    if (internal.copyStreams === null)
+      internal.copyStreams = require("pg-copy-streams");
+
+    return internal.copyStreams;
+  }
+
+  /**
+   * Subscribes `handler` to notifications sent to `channel`, which is called
+   * as `handler(payload, channel)`. Notifications are received by a dedicated
+   * connection, which reconnects automatically and subscribes to all channels
+   * again if it has been lost. Notifications sent while the connection was
+   * lost are not delivered.
+   *
+   * @param {string} channel Channel name (case sensitive).
+   * @param {function} handler Notification handler.
+   * @param {function} [cb] Called when the subscription is active.
+   * @return {Promise|undefined} Promise if called without a callback.
+   */
+  listen(channel, handler, cb) {
+    const self = this;
+    const internal = this._internal;
+
+    if (typeof cb !== "function")
+      return callAsPromise(function(cb) { self.listen(channel, handler, cb); });
+
+    if (internal.status !== "running") {
+      setImmediate(cb, new SQLError("The SQL driver cannot listen (driver status: '" + internal.status + "')"), null);
+      return;
+    }
+
+    const handlers = internal.listenHandlers;
+    const pending = internal.listenPending;
+
+    if (hasOwn.call(handlers, channel)) {
+      handlers[channel].push(handler);
+
+      // The subscription is not active until its LISTEN finishes.
+      if (hasOwn.call(pending, channel))
+        pending[channel].push({ handler: handler, cb: cb });
+      else
+        setImmediate(cb, null, null);
+      return;
+    }
+
+    handlers[channel] = [handler];
+    pending[channel] = [{ handler: handler, cb: cb }];
+
+    this._listenerQuery("LISTEN " + quoteIdentifier(channel) + ";", function(err) {
+      const waiting = pending[channel];
+      delete pending[channel];
+
+      for (var i = 0; i < waiting.length; i++) {
+        if (err)
+          self._removeHandler(channel, waiting[i].handler);
+        waiting[i].cb(err || null, null);
+      }
+    });
+  }
+
+  /**
+   * Unsubscribes `handler` (or all handlers if `null`) from `channel`. The
+   * listening connection is closed when no channels remain.
+   *
+   * @param {string} channel Channel name.
+   * @param {?function} handler Handler passed to `listen()`.
+   * @param {function} [cb] Called when the subscription has been removed.
+   * @return {Promise|undefined} Promise if called without a callback.
+   */
+  unlisten(channel, handler, cb) {
+    const self = this;
+    const internal = this._internal;
+
+    if (typeof cb !== "function")
+      return callAsPromise(function(cb) { self.unlisten(channel, handler, cb); });
+
+    if (!hasOwn.call(internal.listenHandlers, channel)) {
+      setImmediate(cb, null, null);
+      return;
+    }
+
+    if (handler)
+      this._removeHandler(channel, handler);
+    else
+      delete internal.listenHandlers[channel];
+
+    if (hasOwn.call(internal.listenHandlers, channel) || !internal.listenerReady) {
+      // The lost connection doesn't have to be reconnected if no channels
+      // remain.
+      if (internal.listenerTimer && Object.keys(internal.listenHandlers).length === 0)
+        this._closeListener();
+
+      setImmediate(cb, null, null);
+      return;
+    }
+
+    this._listenerQuery("UNLISTEN " + quoteIdentifier(channel) + ";", function(err) {
+      if (Object.keys(internal.listenHandlers).length === 0)
+        self._closeListener();
+      cb(err, null);
+    });
+  }
+
+  /**
+   * Sends a notification with `payload` to `channel`. If sent as a part of a
+   * transaction the notification is delivered when the transaction commits.
+   *
+   * @param {string} channel Channel name.
+   * @param {string} [payload] Notification payload.
+   * @param {function} [cb] Called when the notification has been sent.
+   * @param {object} [options] Transaction (`SQLClient`) or query options.
+   * @return {Promise|undefined} Promise if called without a callback.
+   */
+  notify(channel, payload, cb, options) {
+    if (typeof payload === "function") {
+      options = cb;
+      cb = payload;
+      payload = "";
+    }
+
+    return this.query("SELECT pg_notify($1, $2);", [channel, payload == null ? "" : String(payload)], cb, options);
   }
 
   /** @override */
-  _getServerURL() {
-    var internal = this._internal;
+  _stop(cb) {
+    const internal = this._internal;
+
+    internal.listenHandlers = {};
+    internal.listenPending = {};
+    this._closeListener();
+
+    const waiting = internal.listenerWaiting;
+    internal.listenerWaiting = [];
+    for (var i = 0; i < waiting.length; i++)
+      waiting[i](new SQLError("The SQL driver has been stopped"), null);
 
-    var uri = "postgres://" + internal.username + ":" + internal.password;
-    uri += internal.host ? "@" + internal.host : "@localhost";
-    uri += internal.port ? ":" + internal.port : "";
-    uri += internal.database ? "/" + internal.database : "";
-    return uri;
+    super._stop(cb);
+  }
+
+  /** @private */
+  _removeHandler(channel, handler) {
+    const handlers = this._internal.listenHandlers;
+    const list = handlers[channel];
+
+    if (!list)
+      return;
+
+    const index = list.indexOf(handler);
+
+    if (index !== -1)
+      list.splice(index, 1);
+
+    if (list.length === 0)
+      delete handlers[channel];
+  }
+
+  /**
+   * Executes `qs` on the listening connection, which is created if needed.
+   *
+   * @private
+   */
+  _listenerQuery(qs, cb) {
+    const self = this;
+    const internal = this._internal;
+
+    // The connection subscribes to all channels when it connects, however, the
+    // query is executed again as the channel could be added after that. It's
+    // harmless as LISTEN and UNLISTEN are idempotent.
+    if (!internal.listenerReady) {
+      internal.listenerWaiting.push(function(err) {
+        if (err)
+          return cb(err, null);
+        self._listenerQuery(qs, cb);
+      });
+
+      if (internal.listener === null && internal.listenerTimer === null && !internal.listenerConnecting)
+        this._connectListener();
+      return;
+    }
+
+    internal.listener.query(qs, function(err) {
+      cb(err ? self._wrapError(err, qs) : null, null);
+    });
+  }
+
+  /**
+   * Creates the listening connection and subscribes to all channels. The
+   * credentials are refreshed first if they are provided by a function.
+   *
+   * @private
+   */
+  _connectListener() {
+    const self = this;
+    const internal = this._internal;
+
+    internal.listenerConnecting = true;
+    this._refreshCredentials(false, function(err) {
+      internal.listenerConnecting = false;
+
+      // Waiting subscriptions have been already failed by `_stop()`.
+      if (internal.status !== "running")
+        return;
+
+      if (err)
+        return self._onListenerLost(null, err);
+
+      self._openListener();
+    });
+  }
+
+  /** @private */
+  _openListener() {
+    const self = this;
+    const internal = this._internal;
+    const impl = new internal.impl.Client(this._getConnectionConfig(null));
+
+    internal.listener = impl;
+    internal.listenerReady = false;
+
+    impl.on("notification", function(msg) {
+      self._onNotification(msg);
+    });
+
+    impl.on("error", function(err) {
+      self.app.error("[xpart.sql] Listening connection: " + err.toString());
+      self._onListenerLost(impl, err);
+    });
+
+    impl.on("end", function() {
+      self._onListenerLost(impl, new SQLError("Listening connection has been closed"));
+    });
+
+    impl.connect(function(err) {
+      if (internal.listener !== impl)
+        return;
+
+      if (err)
+        return self._onListenerLost(impl, err);
+
+      const channels = Object.keys(internal.listenHandlers);
+      const qs = channels.map(function(channel) {
+        return "LISTEN " + quoteIdentifier(channel) + ";";
+      }).join("\n");
+
+      if (!qs)
+        return self._onListenerReady();
+
+      impl.query(qs, function(err) {
+        if (internal.listener !== impl)
+          return;
+
+        if (err)
+          return self._onListenerLost(impl, err);
+
+        self._onListenerReady();
+      });
+    });
+  }
+
+  /** @private */
+  _onListenerReady() {
+    const internal = this._internal;
+    const waiting = internal.listenerWaiting;
+
+    internal.listenerReady = true;
+    internal.listenerFailures = 0;
+    internal.listenerWaiting = [];
+
+    for (var i = 0; i < waiting.length; i++)
+      waiting[i](null, null);
+  }
+
+  /**
+   * Called when the listening connection failed to connect or has been lost.
+   * Reconnects with a backoff if there are subscribed channels.
+   *
+   * @private
+   */
+  _onListenerLost(impl, err) {
+    const self = this;
+    const internal = this._internal;
+
+    if (internal.listener !== impl)
+      return;
+
+    internal.listener = null;
+    internal.listenerReady = false;
+    internal.listenerFailures++;
+
+    if (impl)
+      impl.end();
+
+    // Subscriptions waiting for the connection fail, they would be retried by
+    // the reconnect anyway, but the caller would never know.
+    const waiting = internal.listenerWaiting;
+    internal.listenerWaiting = [];
+    for (var i = 0; i < waiting.length; i++)
+      waiting[i](this._wrapError(err, ""), null);
+
+    if (internal.status !== "running" || Object.keys(internal.listenHandlers).length === 0)
+      return;
+
+    const delay = Math.min(internal.retryDelay * Math.pow(2, internal.listenerFailures - 1), internal.retryDelayMax);
+    internal.listenerTimer = setTimeout(function() {
+      internal.listenerTimer = null;
+      self._connectListener();
+    }, delay);
+  }
+
+  /** @private */
+  _closeListener() {
+    const internal = this._internal;
+    const impl = internal.listener;
+
+    if (internal.listenerTimer) {
+      clearTimeout(internal.listenerTimer);
+      internal.listenerTimer = null;
+    }
+
+    internal.listener = null;
+    internal.listenerReady = false;
+    internal.listenerFailures = 0;
+
+    if (impl)
+      impl.end();
+  }
+
+  /** @private */
+  _onNotification(msg) {
+    const handlers = this._internal.listenHandlers;
+    if (!hasOwn.call(handlers, msg.channel))
+      return;
+
+    // Copy, so handlers can unsubscribe while being called.
+    const list = handlers[msg.channel].slice();
+    for (var i = 0; i < list.length; i++) {
+      try {
+        list[i](msg.payload, msg.channel);
+      }
+      catch (ex) {
+        this.app.error("[xpart.sql] Notification handler of '" + msg.channel + "' failed: " + ex.toString());
+      }
+    }
   }
 
   /** @override */
+  _canJoinStatements(values) {
+    // Bound values are sent through the extended query protocol, which
+    // doesn't allow multiple statements in a single query.
+    return values === null;
+  }
+
+  /** @override */
+  _getPlaceholder(index) {
+    return "$" + index;
+  }
+
+  /** @override */
+  _getMigrationLock(name) {
+    return {
+      qs: "SELECT pg_advisory_xact_lock(hashtext($1));",
+      values: [name]
+    };
+  }
+
+  /** @override */
+  _getBeginQuery(options) {
+    if (!options)
+      return "BEGIN;";
+
+    var qs = "BEGIN";
+
+    if (options.isolation)
+      qs += " ISOLATION LEVEL " + options.isolation;
+
+    if (options.readOnly !== null)
+      qs += options.readOnly ? " READ ONLY" : " READ WRITE";
+
+    // DEFERRABLE has only effect on SERIALIZABLE READ ONLY transactions.
+    if (options.deferrable) {
+      if (options.isolation !== "SERIALIZABLE" || options.readOnly !== true)
+        throw new SQLError("Deferrable transaction must be serializable and read-only");
+      qs += " DEFERRABLE";
+    }
+
+    return qs + ";";
+  }
+
+  /** @override */
+  _getErrorInfo(err) {
+    const info = super._getErrorInfo(err);
+
+    info.detail     = err.detail || null;
+    info.constraint = err.constraint || null;
+    info.table      = err.table || null;
+    info.column     = err.column || null;
+    info.position   = err.position ? Number(err.position) : null;
+
+    // `pg` doesn't provide a code if the server closed the connection.
+    if (info.code === null && /^Connection terminated/.test(err.message))
+      info.code = "08006";
+
+    return info;
+  }
+
+  /**
+   * Returns the configuration passed to `pg.Client` to connect to `server`
+   * (one of `hosts`), the current primary if not given.
+   *
+   * @private
+   */
+  _getConnectionConfig(server) {
+    var internal = this._internal;
+    var connection = internal.pgConnection;
+
+    if (!server)
+      server = internal.hosts[internal.hostIndex];
+
+    var out = {
+      host: server.host,
+      port: server.port || 5432,
+      user: internal.username,
+      password: internal.password,
+      database: internal.database,
+      ssl: connection.ssl
+    };
+
+    if (connection.applicationName !== null)
+      out.application_name = connection.applicationName;
+
+    if (connection.statementTimeout !== null)
+      out.statement_timeout = connection.statementTimeout;
+
+    if (connection.options !== null)
+      out.options = connection.options;
+
+    if (connection.connectTimeout !== null)
+      out.connectionTimeoutMillis = connection.connectTimeout;
+
+    return out;
+  }
+
+  /**
+   * Creates a new client connected to a writable primary. If the current
+   * primary cannot be connected other hosts are searched for a new one, see
+   * `_findPrimary()`. If another host becomes primary the pool is drained, so
+   * all clients connect to the new primary.
+   *
+   * @override
+   */
   _createClient(cb) {
     var self = this;
+    var internal = this._internal;
+
+    function connectPrimary(canSearch) {
+      const generation = internal.generation;
+      const server = internal.hosts[internal.hostIndex];
+
+      self._connect(server, function(err, impl) {
+        if (err) {
+          if (!canSearch || internal.hosts.length === 1)
+            return cb(err, null);
 
+          return self._findPrimary(generation, err, function(err, impl) {
+            if (err)
+              return cb(err, null);
+
+            // Either found by this search or the primary has been found by
+            // another one, which has to be connected again.
+            if (impl)
+              return cb(null, self._wrapClient(impl));
+            connectPrimary(false);
+          });
+        }
+
+        // The primary has changed while connecting, the connection belongs
+        // to a previous one.
+        if (generation !== internal.generation) {
+          impl.end();
+          return connectPrimary(false);
+        }
+
+        cb(null, self._wrapClient(impl));
+      });
+    }
+
+    connectPrimary(true);
+  }
+
+  /**
+   * Searches for a writable primary after the current one (of `generation`)
+   * couldn't be connected with `lastError`. Other hosts are tried in order
+   * followed by the current primary. The connection to the new primary is
+   * passed to `cb`.
+   *
+   * The search is serialized: if another search is in progress or if the
+   * primary has changed since `generation` then `cb` is called without a
+   * connection (after the search finishes), meaning that the caller should
+   * connect to the current primary.
+   *
+   * @private
+   */
+  _findPrimary(generation, lastError, cb) {
+    var self = this;
+    var internal = this._internal;
+
+    if (generation !== internal.generation)
+      return setImmediate(cb, null, null);
+
+    if (internal.hostSearch !== null)
+      return internal.hostSearch.push(cb);
+
+    var hosts = internal.hosts;
+    var start = internal.hostIndex;
+    var attempt = 0;
+
+    internal.hostSearch = [];
+
+    function done(err, impl) {
+      const waiting = internal.hostSearch;
+      internal.hostSearch = null;
+
+      cb(err, impl);
+      for (var i = 0; i < waiting.length; i++)
+        waiting[i](err, null);
+    }
+
+    function tryNext() {
+      if (attempt === hosts.length)
+        return done(lastError, null);
+
+      const index = (start + ++attempt) % hosts.length;
+      self._connect(hosts[index], function(err, impl) {
+        if (err) {
+          lastError = err;
+          return tryNext();
+        }
+
+        if (index !== internal.hostIndex) {
+          internal.hostIndex = index;
+          internal.generation++;
+          self._maintainPool();
+        }
+
+        done(null, impl);
+      });
+    }
+
+    tryNext();
+  }
+
+  /**
+   * Creates a `PGSQLClient` of a connection `impl` to the current primary.
+   *
+   * @private
+   */
+  _wrapClient(impl) {
+    const client = new PGSQLClient(this, impl);
+    client._server = this._internal.hosts[this._internal.hostIndex];
+    return client;
+  }
+
+  /**
+   * Connects to `server` and passes the connection to `cb`. If there are more
+   * hosts it also checks that the server is not a read-only standby, except
+   * for read replicas, which are expected to be standbys.
+   *
+   * @private
+   */
+  _connect(server, cb) {
     var internal = this._internal;
-    var impl = new internal.impl.Client(this._getServerURL());
+    var impl = new internal.impl.Client(this._getConnectionConfig(server));
 
     // PG type parsers.
     if (internal.pgTypeParsers)
@@ -284,12 +1388,59 @@ class PGSQLDriver extends SQLDriver {
     impl.connect(function(err) {
       if (err)
         return cb(err, null);
-      cb(null, new PGSQLClient(self, impl));
+
+      if (internal.hosts.length === 1 || internal.primary !== null)
+        return cb(null, impl);
+
+      impl.query("SHOW transaction_read_only;", function(err, result) {
+        if (!err && result.rows[0].transaction_read_only === "on")
+          err = new SQLError("Server '" + server.host + "' is a read-only standby");
+
+        if (err) {
+          impl.end();
+          return cb(err, null);
+        }
+
+        cb(null, impl);
+      });
     });
   }
 
+  /** @override */
+  _mustDestroyClient(client, now) {
+    return super._mustDestroyClient(client, now) || client._generation !== this._internal.generation;
+  }
+
+  /**
+   * Called when a query failed because the server is not writable anymore,
+   * which means that it has been demoted to a standby. All clients are
+   * drained and new clients look for the new primary starting by the next
+   * host.
+   *
+   * @private
+   */
+  _onServerDemoted(client) {
+    var internal = this._internal;
+
+    // Read replicas are not writable, their hosts are not primaries.
+    if (internal.primary !== null)
+      return;
+
+    client._failed = true;
+    if (client._generation !== internal.generation || internal.hosts.length === 1)
+      return;
+
+    this.app.error("[xpart.sql] Server '" + client._server.host + "' has been demoted, reconnecting");
+
+    internal.hostIndex = (internal.hostIndex + 1) % internal.hosts.length;
+    internal.generation++;
+    this._maintainPool();
+  }
+
   /** @override */
   _destroyClient(client) {
+    client._statements.clear();
+    client._deallocating.length = 0;
     client._impl.end();
   }
 }
@@ -307,59 +1458,267 @@ class PGSQLClient extends SQLClient {
     super(driver, impl);
 
     this._onQuery = PGSQLClient.prototype._onQuery.bind(this);
+    this._onError = PGSQLClient.prototype._onError.bind(this);
+
+    // A pooled connection that is terminated by the server (like a restart
+    // or `pg_terminate_backend()`) emits an error event, which would throw if
+    // there is no listener.
+    impl.on("error", this._onError);
+
+    this._server = null;       // Server (one of driver's hosts) the client is connected to.
+    this._generation = driver._internal.generation;
+
+    // Prepared statements (name to query string mapping) in LRU order, the
+    // least recently used statement is the first.
+    this._statements = new Map();
+
+    // Prepared statements to deallocate (`{ name, qs, invalid }`) and the ID
+    // of the transaction of the last statement executed.
+    this._deallocating = [];
+    this._lastTxId = -1;
+  }
+
+  /** @override */
+  _cancel() {
+    // The client's connection is busy, so the query has to be cancelled by
+    // `pg_cancel_backend()` executed through a new connection.
+    var self = this;
+    var driver = this._driver;
+    var pid = this._impl.processID;
+    var queryId = this._queryId;
+    var impl = new driver._internal.impl.Client(driver._getConnectionConfig(this._server));
+
+    function onError(err) {
+      driver.app.error("[xpart.sql] Failed to cancel query: " + err.toString());
+    }
+
+    impl.on("error", onError);
+    impl.connect(function(err) {
+      if (err)
+        return onError(err);
+
+      // The query could have finished while connecting, the cancel would hit
+      // the next query executed by the backend in that case.
+      if (!self._isQueryActive(queryId))
+        return impl.end();
+
+      impl.query("SELECT pg_cancel_backend($1)", [pid], function(err) {
+        impl.end();
+        if (err)
+          onError(err);
+      });
+    });
   }
 
   /** @override */
-  _query(qs, cb) {
-    // This is a bit tricky. Because callbacks often have just `err, result`
-    // signature the query string and the original callback are stored in the
-    // client itself. This is fine as JS is single-threaded and clients are
-    // not used concurrently. The `client._onQuery()` will clear these values
-    // and call the real handler.
-    this._qs = qs;
-    this._cb = cb;
+  _query(qs, values) {
+    if (values instanceof CopyTask)
+      return this._copy(qs, values);
+
+    if (this._name)
+      return this._queryPrepared(qs, values);
+
+    if (values)
+      this._impl.query(qs, values, this._onQuery);
+    else
+      this._impl.query(qs, this._onQuery);
+  }
+
+  /**
+   * Executes a COPY statement, `task` provides the stream to read from or to
+   * write to.
+   *
+   * @private
+   */
+  _copy(qs, task) {
+    const self = this;
+    const copyStreams = this._driver._getCopyStreams();
+
+    var done = false;
+    var stream = null;
+
+    function onDone(err) {
+      if (done)
+        return;
+
+      done = true;
+      if (err)
+        return self._onQueryDone(err, null);
+
+      self._onQueryDone(null, {
+        rows : null,
+        count: stream.rowCount
+      });
+    }
+
+    try {
+      stream = this._impl.query(task.source ? copyStreams.from(qs) : copyStreams.to(qs));
+    }
+    catch (err) {
+      return onDone(err);
+    }
+
+    stream.on("error", onDone);
 
-    this._impl.query(qs, this._onQuery);
+    if (task.source) {
+      // Destroying the COPY stream aborts COPY, the server then responds with
+      // an error that finishes the query.
+      task.source.on("error", function(err) {
+        self._driver.app.error("[xpart.sql] COPY source failed: " + err.toString());
+        stream.destroy(err);
+      });
+
+      stream.on("finish", function() { onDone(null); });
+      task.source.pipe(stream);
+    }
+    else {
+      // The connection would be left in COPY mode if the sink failed, so it
+      // cannot be reused.
+      task.sink.on("error", function(err) {
+        self._failed = true;
+        onDone(err);
+      });
+
+      if (task.end)
+        task.sink.on("finish", function() { onDone(null); });
+      else
+        stream.on("end", function() { onDone(null); });
+
+      stream.pipe(task.sink, { end: task.end });
+    }
+  }
+
+  /**
+   * Deallocates prepared statements that are not needed anymore before the
+   * query is executed. The DEALLOCATE statements are executed as regular
+   * queries (their failures are only logged), but only if the query is not
+   * a part of a transaction that has already begun - DEALLOCATE would fail
+   * in an aborted transaction and its failure would abort the transaction.
+   *
+   * If the cache is full and the query needs a new statement then the least
+   * recently used one is scheduled for deallocation. It can be used again
+   * until deallocated as it's still prepared.
+   *
+   * @override
+   */
+  _executeNow(qs, values, cb, timeout, name, release) {
+    const self = this;
+    const statements = this._statements;
+    const deallocating = this._deallocating;
+
+    if (name && !statements.has(name)) {
+      for (var i = 0; i < deallocating.length; i++) {
+        if (deallocating[i].name === name && !deallocating[i].invalid) {
+          statements.set(name, deallocating[i].qs);
+          deallocating.splice(i, 1);
+          break;
+        }
+      }
+
+      // Keep room for the statement, a restored one is the most recently used.
+      const max = this._driver._internal.maxStatements;
+      while (statements.size + (statements.has(name) ? 0 : 1) > max)
+        this._deallocate(statements.keys().next().value, false);
+    }
+
+    // The transaction has begun if its previous statement has been executed.
+    const inTransaction = this._txId !== -1 && this._txId === this._lastTxId;
+
+    if (inTransaction || deallocating.length === 0) {
+      this._lastTxId = this._txId;
+      return super._executeNow(qs, values, cb, timeout, name, release);
+    }
+
+    const item = deallocating.shift();
+    super._executeNow("DEALLOCATE " + quoteIdentifier(item.name) + ";", null, function() {
+      self._forgetStatement(item.name);
+      self._executeNow(qs, values, cb, timeout, name, release);
+    }, timeout, "", false);
+  }
+
+  /**
+   * Executes a named query, which is prepared by the server once and reused
+   * by all following executions.
+   *
+   * @private
+   */
+  _queryPrepared(qs, values) {
+    const name = this._name;
+    const statements = this._statements;
+
+    if (statements.has(name)) {
+      if (statements.get(name) !== qs)
+        return setImmediate(this._onQuery, new SQLError("Prepared statement '" + name + "' has been already prepared with a different query"), null);
+
+      // Move to the end (most recently used).
+      statements.delete(name);
+    }
+
+    statements.set(name, qs);
+    this._impl.query({ name: name, text: qs, values: values || [] }, this._onQuery);
+  }
+
+  /**
+   * Removes a prepared statement `name` from the cache and schedules its
+   * DEALLOCATE, see `_executeNow()`. An `invalid` statement (its cached plan
+   * cannot be used anymore) must be deallocated before it's used again.
+   *
+   * @private
+   */
+  _deallocate(name, invalid) {
+    const statements = this._statements;
+
+    this._deallocating.push({ name: name, qs: statements.get(name), invalid: invalid });
+    statements.delete(name);
+  }
+
+  /**
+   * Removes a prepared statement `name` from the cache, including the cache
+   * kept by `pg`, so it's prepared again by its next execution.
+   *
+   * NOTE: `pg` doesn't provide an API to forget a prepared statement, its
+   * `Connection.parsedStatements` (present in `pg` 7.x and 8.x) is used. If
+   * it's not available the client is marked as failed instead, so it's not
+   * reused and both caches are discarded together with the connection.
+   *
+   * @private
+   */
+  _forgetStatement(name) {
+    const connection = this._impl.connection;
+
+    this._statements.delete(name);
+    if (connection && connection.parsedStatements && typeof connection.parsedStatements === "object")
+      delete connection.parsedStatements[name];
+    else
+      this._failed = true;
   }
 
   /** @private */
   _onQuery(err, result) {
-    // Get and purge the values stored by `_query()`.
-    var qs = this._qs;
-    var cb = this._cb;
-
-    this._qs = "";
-    this._cb = null;
+    // Writing to a read-only server outside of a read-only transaction means
+    // that the primary has been demoted.
+    if (err && err.code === "25006" && !(this._txOptions && this._txOptions.readOnly))
+      this._driver._onServerDemoted(this);
 
-    var driver = this._driver;
-    var internal = driver._internal;
-
-    var app = driver.app;
-    var indent = "  ";
-
-    // Release the client into the DB driver's pool if `_returnToPool` is set.
-    if (this._returnToPool)
-      driver._onClientIdle(this);
-
-    // Handle all SQL errors together with the SQL query executed. This means
-    // that we don't have to log messages in business logic as the error has
-    // been already reported by the lower layer (SQL).
-    if (err) {
-      app.error("[xpart.sql] Query:\n" + qs + "\n",
-                "[xpart.sql] " + err.toString());
-      return cb(err, null);
+    // A cached plan that became invalid (the schema has changed) has to be
+    // deallocated, a missing statement (DISCARD ALL) has to be prepared again.
+    if (err && this._name) {
+      if (err.code === "0A000" && /cached plan/.test(err.message))
+        this._deallocate(this._name, true);
+      else if (err.code === "26000")
+        this._forgetStatement(this._name);
     }
 
-    if (internal.debugQueries)
-      app.silly("[xpart.sql] Query:\n" + qs);
+    if (err)
+      return this._onQueryDone(err, null);
 
-    if (internal.debugResults)
-      app.silly(indent + JSON.stringify(result.rows, null, 2).replace(/\n/g, indent));
+    return this._onQueryDone(null, normalizeResult(result));
+  }
 
-    return cb(null, {
-      rows : result.rows || null,
-      count: result.rowCount
-    });
+  /** @private */
+  _onError(err) {
+    this._driver.app.error("[xpart.sql] Connection: " + err.toString());
+    this._driver._onClientLost(this);
   }
 }
 exports.PGSQLClient = PGSQLClient;
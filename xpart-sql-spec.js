@@ -0,0 +1,1597 @@
+"use strict";
+
+const assert = require("assert");
+const EventEmitter = require("events");
+const xsql = require("./xpart-sql");
+const migrator = require("./xpart-sql-migrator");
+const pgsql = require("./xpart-sql-pgsql");
+
+// ============================================================================
+// [Utils]
+// ============================================================================
+
+const app = {
+  error: function() {},
+  silly: function() {}
+};
+
+/**
+ * Drivers created by `newDriver()`, stopped after each test.
+ */
+const drivers = [];
+
+/**
+ * Creates and starts a mock driver configured by `config`.
+ */
+function newDriver(config) {
+  const options = { engine: "mock" };
+  for (var k in config)
+    options[k] = config[k];
+
+  const driver = xsql.new(app, options);
+  drivers.push(driver);
+
+  return driver.start().then(function() { return driver; });
+}
+
+/**
+ * Creates a fake `pg` module, which records query strings and answers each
+ * query by rows returned by `respond(qs, values)` (no rows by default), or
+ * fails it if an `Error` is returned.
+ */
+function newPGBackend(respond) {
+  const queries = [];
+
+  class Client extends EventEmitter {
+    constructor(config) {
+      super();
+      this.config = config;
+      this.processID = 1;
+    }
+
+    connect(cb) {
+      setImmediate(cb, null);
+    }
+
+    query(q, values, cb) {
+      if (typeof values === "function") {
+        cb = values;
+        values = null;
+      }
+
+      const qs = typeof q === "string" ? q : q.text;
+      queries.push(qs);
+
+      const rows = respond ? respond(qs, values || q.values || null) : null;
+      if (rows instanceof Error)
+        return setImmediate(cb, rows, null);
+
+      setImmediate(cb, null, {
+        rows: rows || [],
+        fields: rows && rows.length ? Object.keys(rows[0]).map(function(name) { return { name: name }; }) : [],
+        rowCount: rows ? rows.length : 0
+      });
+    }
+
+    end() {}
+  }
+
+  return { Client: Client, queries: queries };
+}
+
+/**
+ * Returns query strings executed by `driver`.
+ */
+function getQueryStrings(driver) {
+  return driver.getQueries().map(function(query) { return query.qs; });
+}
+
+/**
+ * Returns a promise that is resolved with the error the `promise` has been
+ * rejected with, or rejected if it has been resolved.
+ */
+function expectError(promise) {
+  return promise.then(function() {
+    throw new Error("Expected the promise to be rejected");
+  }, function(err) {
+    return err;
+  });
+}
+
+/**
+ * Returns a promise that is resolved after `ms` milliseconds.
+ */
+function delay(ms) {
+  return new Promise(function(resolve) { setTimeout(resolve, ms); });
+}
+
+afterEach(function() {
+  const running = drivers.splice(0, drivers.length).filter(function(driver) {
+    return driver.getStatus() === "running";
+  });
+
+  return Promise.all(running.map(function(driver) { return driver.stop(); }));
+});
+
+// ============================================================================
+// [Statements]
+// ============================================================================
+
+describe("Queries", function() {
+  it("should accept options instead of values", function() {
+    return newDriver({}).then(function(driver) {
+      driver.mock("SELECT slow", { rows: [], delay: 200 });
+
+      return expectError(driver.query("SELECT slow", { timeout: 20 })).then(function(err) {
+        assert(err instanceof xsql.SQLTimeoutError);
+        assert.strictEqual(driver.getQueries()[0].values, null);
+      });
+    });
+  });
+
+  it("should accept options instead of values of a transacting query", function() {
+    return newDriver({}).then(function(driver) {
+      driver.mock("SELECT slow", { rows: [], delay: 200 });
+
+      return driver.begin().then(function(tx) {
+        return new Promise(function(resolve) {
+          tx.query("SELECT slow", { timeout: 20 }, function(err) {
+            assert(err instanceof xsql.SQLTimeoutError);
+            resolve(tx.rollback());
+          });
+        });
+      }).then(function() {
+        assert.deepEqual(getQueryStrings(driver), ["BEGIN;", "SELECT slow", "ROLLBACK;"]);
+      });
+    });
+  });
+});
+
+describe("Query timeouts", function() {
+  it("should fail a query that didn't finish in time", function() {
+    return newDriver({}).then(function(driver) {
+      driver.mock("SELECT slow", { rows: [{ a: 1 }], delay: 200 });
+
+      return expectError(driver.query("SELECT slow", null, { timeout: 20 })).then(function(err) {
+        assert(err instanceof xsql.SQLTimeoutError);
+        assert.strictEqual(err.timeout, true);
+      });
+    });
+  });
+
+  it("should use 'queryTimeout' if the query has no timeout", function() {
+    return newDriver({ queryTimeout: 20 }).then(function(driver) {
+      driver.mock("SELECT slow", { delay: 200 });
+
+      return expectError(driver.query("SELECT slow")).then(function(err) {
+        assert(err instanceof xsql.SQLTimeoutError);
+      });
+    });
+  });
+
+  it("should keep the client usable after a query timed out", function() {
+    return newDriver({ maxConnections: 1 }).then(function(driver) {
+      driver.mock("SELECT slow", { delay: 200 });
+      driver.mock("SELECT fast", [{ a: 1 }]);
+
+      const slow = expectError(driver.query("SELECT slow", null, { timeout: 20 }));
+      const fast = driver.query("SELECT fast");
+
+      return Promise.all([slow, fast]).then(function(results) {
+        assert(results[0] instanceof xsql.SQLTimeoutError);
+        assert.deepEqual(results[1].rows, [{ a: 1 }]);
+
+        const queries = driver.getQueries();
+        assert.deepEqual(getQueryStrings(driver), ["SELECT slow", "SELECT fast"]);
+        assert.strictEqual(queries[0].connection, queries[1].connection);
+      });
+    });
+  });
+});
+
+describe("Joined statements", function() {
+  it("should terminate a query joined with COMMIT", function() {
+    return newDriver({ multiStatements: true }).then(function(driver) {
+      return driver.begin().then(function(tx) {
+        return tx.commit("UPDATE t SET a = 1");
+      }).then(function() {
+        assert.deepEqual(getQueryStrings(driver), ["BEGIN;\nUPDATE t SET a = 1;\nCOMMIT;"]);
+      });
+    });
+  });
+
+  it("should not terminate a query that is already terminated", function() {
+    return newDriver({ multiStatements: true }).then(function(driver) {
+      return driver.begin().then(function(tx) {
+        return tx.query("SELECT a FROM t;").then(function() {
+          return tx.commit("UPDATE t SET a = 1; ");
+        });
+      }).then(function() {
+        assert.deepEqual(getQueryStrings(driver), ["BEGIN;\nSELECT a FROM t;", "UPDATE t SET a = 1; \nCOMMIT;"]);
+      });
+    });
+  });
+
+  it("should use rows of the query joined with other statements (pgsql)", function() {
+    const begin = { command: "BEGIN", rows: [], fields: [], rowCount: null };
+    const commit = { command: "COMMIT", rows: [], fields: [], rowCount: null };
+
+    const select = { command: "SELECT", rows: [{ a: 1 }], fields: [{ name: "a" }], rowCount: 1 };
+    assert.deepEqual(pgsql.normalizeResult([begin, select, commit]), { rows: [{ a: 1 }], count: 1 });
+    assert.deepEqual(pgsql.normalizeResult([begin, select]), { rows: [{ a: 1 }], count: 1 });
+
+    const update = { command: "UPDATE", rows: [], fields: [], rowCount: 2 };
+    assert.deepEqual(pgsql.normalizeResult([begin, update, commit]), { rows: [], count: 2 });
+  });
+});
+
+// ============================================================================
+// [Transactions]
+// ============================================================================
+
+describe("Nested transactions", function() {
+  it("should release the savepoint of a committed nested transaction", function() {
+    return newDriver({ multiStatements: true }).then(function(driver) {
+      return driver.begin().then(function(tx) {
+        return tx.begin().then(function() {
+          return tx.commit("DELETE FROM x");
+        }).then(function() {
+          return tx.commit();
+        });
+      }).then(function() {
+        assert.deepEqual(getQueryStrings(driver), [
+          "BEGIN;\nSAVEPOINT xpart_sp_1;",
+          "DELETE FROM x;\nRELEASE SAVEPOINT xpart_sp_1;",
+          "COMMIT;"
+        ]);
+      });
+    });
+  });
+
+  it("should roll back a nested transaction to its savepoint", function() {
+    return newDriver({}).then(function(driver) {
+      return driver.begin().then(function(tx) {
+        return tx.query("INSERT INTO t VALUES (1)").then(function() {
+          return tx.begin();
+        }).then(function() {
+          return tx.query("INSERT INTO t VALUES (2)");
+        }).then(function() {
+          return tx.rollback();
+        }).then(function() {
+          return tx.commit();
+        });
+      }).then(function() {
+        assert.deepEqual(getQueryStrings(driver), [
+          "BEGIN;",
+          "INSERT INTO t VALUES (1)",
+          "SAVEPOINT xpart_sp_1;",
+          "INSERT INTO t VALUES (2)",
+          "ROLLBACK TO SAVEPOINT xpart_sp_1;",
+          "RELEASE SAVEPOINT xpart_sp_1;",
+          "COMMIT;"
+        ]);
+      });
+    });
+  });
+
+  it("should reject options of a nested transaction", function() {
+    return newDriver({}).then(function(driver) {
+      return driver.begin().then(function(tx) {
+        return expectError(tx.begin({ readOnly: true })).then(function(err) {
+          assert(err instanceof xsql.SQLError);
+          return tx.rollback();
+        });
+      });
+    });
+  });
+});
+
+describe("Transaction options", function() {
+  it("should begin a transaction with the given options", function() {
+    return newDriver({}).then(function(driver) {
+      return driver.transaction(function(tx) {
+        return tx.query("SELECT a");
+      }, { isolation: "repeatableRead", readOnly: true }).then(function() {
+        return driver.begin({ isolation: "read_committed", readOnly: false });
+      }).then(function(tx) {
+        return tx.commit("UPDATE t SET a = 1");
+      }).then(function() {
+        const qs = getQueryStrings(driver);
+
+        assert.strictEqual(qs[0], "BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY;");
+        assert.strictEqual(qs[3], "BEGIN ISOLATION LEVEL READ COMMITTED READ WRITE;");
+      });
+    });
+  });
+
+  it("should reject an invalid isolation level", function() {
+    return newDriver({}).then(function(driver) {
+      return expectError(driver.begin({ isolation: "sometimes" })).then(function(err) {
+        assert(err instanceof xsql.SQLError);
+        assert(/Invalid transaction isolation level/.test(err.message));
+        assert.deepEqual(driver.getQueries(), []);
+      });
+    });
+  });
+
+  it("should use statements of each engine", function() {
+    const options = { isolation: "serializable", readOnly: true, deferrable: true };
+
+    const pg = xsql.new(app, { engine: "pgsql", backend: {} });
+    assert.strictEqual(pg._getBeginQuery(pg._normalizeTxOptions(options)),
+      "BEGIN ISOLATION LEVEL SERIALIZABLE READ ONLY DEFERRABLE;");
+
+    const my = xsql.new(app, { engine: "mysql", backend: {} });
+    assert.strictEqual(my._getBeginQuery(my._normalizeTxOptions({ isolation: "serializable", readOnly: true })),
+      "SET TRANSACTION ISOLATION LEVEL SERIALIZABLE;\nSTART TRANSACTION READ ONLY;");
+    assert.throws(function() { my._normalizeTxOptions(options); }, xsql.SQLError);
+
+    const lite = xsql.new(app, { engine: "sqlite", backend: {} });
+    assert.strictEqual(lite._getBeginQuery(lite._normalizeTxOptions({ isolation: "serializable" })), "BEGIN;");
+    assert.throws(function() { lite._normalizeTxOptions({ readOnly: true }); }, xsql.SQLError);
+  });
+});
+
+describe("Transaction retry", function() {
+  const serializationFailure = { message: "Could not serialize access", code: "40001" };
+
+  it("should retry a transaction that failed to serialize", function() {
+    var attempts = 0;
+
+    return newDriver({ transactionRetryDelay: 1 }).then(function(driver) {
+      driver.mockError("UPDATE t SET a = 1", serializationFailure, { times: 2 });
+
+      return driver.transaction(function(tx) {
+        attempts++;
+        return tx.query("UPDATE t SET a = 1").then(function() { return "done"; });
+      }).then(function(result) {
+        assert.strictEqual(result, "done");
+        assert.strictEqual(attempts, 3);
+
+        const stats = driver.getStats();
+        assert.strictEqual(stats.txCommitted, 1);
+        assert.strictEqual(stats.txRolledBack, 2);
+      });
+    });
+  });
+
+  it("should fail after all retries have been used", function() {
+    var attempts = 0;
+
+    return newDriver({ transactionRetries: 2, transactionRetryDelay: 1 }).then(function(driver) {
+      driver.mockError("UPDATE t SET a = 1", serializationFailure);
+
+      return expectError(driver.transaction(function(tx) {
+        attempts++;
+        return tx.query("UPDATE t SET a = 1");
+      })).then(function(err) {
+        assert(err instanceof xsql.SQLSerializationError);
+        assert.strictEqual(attempts, 3);
+      });
+    });
+  });
+
+  it("should not retry if 'transactionRetries' is 0", function() {
+    var attempts = 0;
+
+    return newDriver({ transactionRetries: 0 }).then(function(driver) {
+      driver.mockError("UPDATE t SET a = 1", serializationFailure);
+
+      return expectError(driver.transaction(function(tx) {
+        attempts++;
+        return tx.query("UPDATE t SET a = 1");
+      })).then(function(err) {
+        assert(err instanceof xsql.SQLSerializationError);
+        assert.strictEqual(attempts, 1);
+      });
+    });
+  });
+
+  it("should not retry other errors", function() {
+    var attempts = 0;
+
+    return newDriver({ transactionRetryDelay: 1 }).then(function(driver) {
+      driver.mockError("INSERT INTO t VALUES (1)", { message: "Duplicate key", code: "23505" });
+
+      return expectError(driver.transaction(function(tx) {
+        attempts++;
+        return tx.query("INSERT INTO t VALUES (1)");
+      })).then(function(err) {
+        assert(err instanceof xsql.SQLUniqueViolationError);
+        assert.strictEqual(attempts, 1);
+        assert.deepEqual(getQueryStrings(driver), ["BEGIN;", "INSERT INTO t VALUES (1)", "ROLLBACK;"]);
+      });
+    });
+  });
+});
+
+// ============================================================================
+// [Connections]
+// ============================================================================
+
+describe("Connection failures", function() {
+  const refused = { message: "Connection refused", code: "08001" };
+
+  it("should fail queued work after 'maximumFailures' attempts", function() {
+    return newDriver({ maximumFailures: 3, connectRetryDelay: 1 }).then(function(driver) {
+      driver.failConnections(Infinity, refused);
+
+      return Promise.all([
+        expectError(driver.query("SELECT a")),
+        expectError(driver.begin())
+      ]).then(function(errors) {
+        errors.forEach(function(err) {
+          assert(err instanceof xsql.SQLConnectionError);
+          assert(/after 3 attempts/.test(err.message));
+        });
+
+        assert.strictEqual(driver.getQueueSize(), 0);
+        assert.deepEqual(driver.getQueries(), []);
+      });
+    });
+  });
+
+  it("should call 'onConnectionFailure' with the error and the driver", function() {
+    const failures = [];
+
+    return newDriver({
+      maximumFailures: 2,
+      connectRetryDelay: 1,
+      onConnectionFailure: function(err, driver) { failures.push([err, driver]); }
+    }).then(function(driver) {
+      driver.failConnections(Infinity, refused);
+
+      return expectError(driver.query("SELECT a")).then(function(err) {
+        assert.strictEqual(failures.length, 1);
+        assert.strictEqual(failures[0][0], err);
+        assert.strictEqual(failures[0][1], driver);
+        assert.strictEqual(err.code, "08001");
+      });
+    });
+  });
+
+  it("should connect again when new work arrives after a failure", function() {
+    return newDriver({ maximumFailures: 1, connectRetryDelay: 1 }).then(function(driver) {
+      driver.failConnections(1, refused);
+
+      return expectError(driver.query("SELECT a")).then(function(err) {
+        assert(err instanceof xsql.SQLConnectionError);
+        return driver.query("SELECT b");
+      }).then(function() {
+        assert.deepEqual(getQueryStrings(driver), ["SELECT b"]);
+      });
+    });
+  });
+
+  it("should retry failed attempts before failing queued work", function() {
+    return newDriver({ maximumFailures: 5, connectRetryDelay: 1 }).then(function(driver) {
+      driver.failConnections(3, refused);
+
+      return driver.query("SELECT a").then(function() {
+        assert.deepEqual(getQueryStrings(driver), ["SELECT a"]);
+        assert.strictEqual(driver.getStats().failures, 0);
+      });
+    });
+  });
+});
+
+// ============================================================================
+// [Queue]
+// ============================================================================
+
+describe("Work queue", function() {
+  it("should reject work if the queue is full", function() {
+    return newDriver({ minConnections: 1, maxConnections: 1, maxQueueSize: 1 }).then(function(driver) {
+      driver.mock("SELECT slow", { rows: [], delay: 30 });
+
+      const first = driver.query("SELECT slow");
+      const second = driver.query("SELECT slow");
+      const third = expectError(driver.query("SELECT slow"));
+
+      return Promise.all([first, second, third]).then(function(results) {
+        assert(results[2] instanceof xsql.SQLQueueFullError);
+        assert.strictEqual(driver.getQueries().length, 2);
+      });
+    });
+  });
+
+  it("should fail work that waited in the queue longer than 'queueTimeout'", function() {
+    return newDriver({ maxConnections: 1, queueTimeout: 20 }).then(function(driver) {
+      driver.mock("SELECT slow", { rows: [], delay: 100 });
+
+      const first = driver.query("SELECT slow");
+      const second = expectError(driver.query("SELECT slow"));
+      const tx = expectError(driver.begin());
+
+      return Promise.all([first, second, tx]).then(function(results) {
+        assert(results[1] instanceof xsql.SQLTimeoutError);
+        assert(results[2] instanceof xsql.SQLTimeoutError);
+        assert.strictEqual(driver.getQueueSize(), 0);
+        assert.strictEqual(driver.getQueries().length, 1);
+      });
+    });
+  });
+  it("should handle queued work in order", function() {
+    return newDriver({ maxConnections: 1, queryDelay: 1 }).then(function(driver) {
+      const work = ["SELECT a", "SELECT b", "SELECT c"].map(function(qs) { return driver.query(qs); });
+
+      assert.strictEqual(driver.getQueueSize(), 3);
+      return Promise.all(work).then(function() {
+        assert.deepEqual(getQueryStrings(driver), ["SELECT a", "SELECT b", "SELECT c"]);
+        assert.strictEqual(driver.getQueueSize(), 0);
+      });
+    });
+  });
+});
+
+// ============================================================================
+// [Validation]
+// ============================================================================
+
+describe("Checkout validation", function() {
+  it("should replace a pooled client that failed validation", function() {
+    var driver;
+
+    return newDriver({ validation: "checkout", maxConnections: 1 }).then(function(d) {
+      driver = d;
+      return driver.query("SELECT a");
+    }).then(function() {
+      driver.mockError("SELECT 1", { message: "Connection terminated unexpectedly", code: "08006" }, { times: 1 });
+      return driver.query("SELECT b");
+    }).then(function() {
+      const queries = driver.getQueries();
+
+      assert.deepEqual(getQueryStrings(driver), ["SELECT a", "SELECT 1", "SELECT b"]);
+      assert.strictEqual(queries[0].connection, queries[1].connection);
+      assert.notStrictEqual(queries[1].connection, queries[2].connection);
+      assert.strictEqual(driver.getStats().clients.total, 1);
+    });
+  });
+
+  it("should not count validation queries in statistics", function() {
+    var driver;
+
+    return newDriver({ validation: "checkout" }).then(function(d) {
+      driver = d;
+      return driver.query("SELECT a");
+    }).then(function() {
+      return driver.query("SELECT b");
+    }).then(function() {
+      assert.deepEqual(getQueryStrings(driver), ["SELECT a", "SELECT 1", "SELECT b"]);
+      assert.strictEqual(driver.getStats().queries, 2);
+    });
+  });
+  it("should validate idle clients in 'interval' mode", function() {
+    var driver;
+
+    return newDriver({ validation: "interval", validationInterval: 1, validationQuery: "SELECT 2", minConnections: 1 }).then(function(d) {
+      driver = d;
+      return delay(5);
+    }).then(function() {
+      driver._maintainPool();
+      return delay(5);
+    }).then(function() {
+      assert.deepEqual(getQueryStrings(driver), ["SELECT 2"]);
+      assert.strictEqual(driver.getStats().clients.idle, 1);
+    });
+  });
+
+  it("should reject an unknown validation mode", function() {
+    assert.throws(function() {
+      xsql.new(app, { engine: "mock", validation: "always" });
+    }, xsql.SQLError);
+  });
+});
+
+// ============================================================================
+// [Statistics]
+// ============================================================================
+
+describe("Statistics", function() {
+  it("should count queries, errors and transactions", function() {
+    var driver;
+
+    return newDriver({ maxConnections: 2 }).then(function(d) {
+      driver = d;
+      driver.mockError("SELECT fail", "Failed");
+
+      return Promise.all([
+        driver.query("SELECT a"),
+        expectError(driver.query("SELECT fail")),
+        driver.transaction(function(tx) { return tx.query("SELECT b"); }),
+        expectError(driver.transaction(function(tx) { return tx.query("SELECT fail"); }, { retries: 0 }))
+      ]);
+    }).then(function() {
+      const stats = driver.getStats();
+
+      assert.strictEqual(stats.status, "running");
+      assert.strictEqual(stats.queries, 8);
+      assert.strictEqual(stats.errors, 2);
+      assert.strictEqual(stats.txCommitted, 1);
+      assert.strictEqual(stats.txRolledBack, 1);
+      assert.strictEqual(stats.queryTime.count, 8);
+      assert.strictEqual(stats.waitTime.count, 4);
+      assert.deepEqual(stats.clients, { total: 2, active: 0, idle: 2, minimum: 0, maximum: 2 });
+      assert.deepEqual(stats.queue, { size: 0, maximum: 0 });
+      assert.deepEqual(stats.replicas, []);
+    });
+  });
+
+  it("should format statistics in Prometheus text format", function() {
+    return newDriver({}).then(function(driver) {
+      return driver.query("SELECT a").then(function() {
+        const text = xsql.formatPrometheus(driver.getStats(), { prefix: "db", labels: { name: "main\"1" } });
+        const lines = text.split("\n");
+
+        assert(lines.indexOf("# TYPE db_clients gauge") !== -1);
+        assert(lines.indexOf("db_clients{name=\"main\\\"1\",state=\"idle\"} 1") !== -1);
+        assert(lines.indexOf("db_queries_total{name=\"main\\\"1\"} 1") !== -1);
+        assert(lines.indexOf("db_query_duration_seconds_count{name=\"main\\\"1\"} 1") !== -1);
+      });
+    });
+  });
+});
+
+// ============================================================================
+// [Errors]
+// ============================================================================
+
+describe("Errors", function() {
+  it("should wrap errors of the backend with their details", function() {
+    return newDriver({}).then(function(driver) {
+      const cause = new Error("Duplicate key value violates unique constraint \"t_pkey\"");
+      cause.code = "23505";
+      cause.detail = "Key (a)=(1) already exists.";
+      cause.constraint = "t_pkey";
+      cause.table = "t";
+
+      driver.mockError("INSERT INTO t VALUES ($1)", cause);
+      return expectError(driver.query("INSERT INTO t VALUES ($1)", [1]));
+    }).then(function(err) {
+      assert(err instanceof xsql.SQLUniqueViolationError);
+      assert.strictEqual(err.name, "SQLUniqueViolationError");
+      assert.strictEqual(err.code, "23505");
+      assert.strictEqual(err.detail, "Key (a)=(1) already exists.");
+      assert.strictEqual(err.constraint, "t_pkey");
+      assert.strictEqual(err.table, "t");
+      assert.strictEqual(err.column, null);
+      assert.strictEqual(err.query, "INSERT INTO t VALUES ($1)");
+      assert.strictEqual(err.dialect, "mock");
+      assert.strictEqual(err.cause.code, "23505");
+    });
+  });
+
+  it("should classify errors by their SQLSTATE code", function() {
+    const driver = xsql.new(app, { engine: "mock" });
+
+    function classify(code) {
+      const err = new Error("Failed");
+      err.code = code;
+      return driver._wrapError(err, "SELECT 1");
+    }
+
+    assert(classify("23503") instanceof xsql.SQLForeignKeyViolationError);
+    assert(classify("40001") instanceof xsql.SQLSerializationError);
+    assert(classify("40P01") instanceof xsql.SQLSerializationError);
+    assert(classify("57P01") instanceof xsql.SQLConnectionError);
+    assert(classify("08006") instanceof xsql.SQLConnectionError);
+    assert.strictEqual(classify("42601").constructor, xsql.SQLError);
+
+    // Socket errors mean that the connection has been lost.
+    const lost = classify("ECONNRESET");
+    assert(lost instanceof xsql.SQLConnectionError);
+    assert.strictEqual(lost.code, "08006");
+    assert.strictEqual(classify("SOMETHING").code, null);
+  });
+
+  it("should extract details of engine specific errors", function() {
+    const pg = xsql.new(app, { engine: "pgsql", backend: {} });
+    const pgError = new Error("syntax error at or near \"SELEC\"");
+    pgError.code = "42601";
+    pgError.position = "1";
+    assert.strictEqual(pg._wrapError(pgError, "SELEC 1").position, 1);
+
+    const lite = xsql.new(app, { engine: "sqlite", backend: {} });
+    const liteError = new Error("SQLITE_CONSTRAINT: UNIQUE constraint failed: t.a");
+    liteError.code = "SQLITE_CONSTRAINT";
+
+    const err = lite._wrapError(liteError, "INSERT INTO t VALUES (1)");
+    assert(err instanceof xsql.SQLUniqueViolationError);
+    assert.strictEqual(err.table, "t");
+    assert.strictEqual(err.column, "a");
+  });
+});
+
+// ============================================================================
+// [Credentials]
+// ============================================================================
+
+describe("Credentials provider", function() {
+  /**
+   * Creates a fake `pg` module that records configurations of connections
+   * and rejects connections that use a password other than `password`.
+   */
+  function newBackend(password) {
+    const backend = newPGBackend();
+    const configs = [];
+
+    class Client extends backend.Client {
+      connect(cb) {
+        configs.push(this.config);
+        if (this.config.password === password)
+          return setImmediate(cb, null);
+
+        const err = new Error("password authentication failed");
+        err.code = "28P01";
+        setImmediate(cb, err);
+      }
+    }
+
+    return { Client: Client, configs: configs };
+  }
+
+  function newCredentialsDriver(backend, config) {
+    const options = { engine: "pgsql", backend: backend, maximumFailures: 1 };
+    for (var k in config)
+      options[k] = config[k];
+
+    const driver = xsql.new(app, options);
+    drivers.push(driver);
+
+    return driver.start().then(function() { return driver; });
+  }
+
+  it("should connect by credentials returned by the provider", function() {
+    const backend = newBackend("secret");
+    var calls = 0;
+
+    return newCredentialsDriver(backend, {
+      minConnections: 2,
+      credentialsTtl: 60000,
+      credentials: function() {
+        calls++;
+        return Promise.resolve({ username: "app", password: "secret" });
+      }
+    }).then(function() {
+      assert.strictEqual(calls, 1);
+      assert.deepEqual(backend.configs.map(function(config) { return config.user; }), ["app", "app"]);
+    });
+  });
+
+  it("should get the password again if the server rejected it", function() {
+    const backend = newBackend("new");
+    const passwords = ["old", "new"];
+
+    return newCredentialsDriver(backend, {
+      password: function(cb) { setImmediate(cb, null, passwords.shift()); }
+    }).then(function(driver) {
+      return driver.query("SELECT a");
+    }).then(function() {
+      assert.deepEqual(backend.configs.map(function(config) { return config.password; }), ["old", "new"]);
+    });
+  });
+
+  it("should call the provider for each connection if credentials are not cached", function() {
+    const backend = newBackend("secret");
+    var calls = 0;
+
+    return newCredentialsDriver(backend, {
+      password: function() {
+        calls++;
+        return "secret";
+      }
+    }).then(function(driver) {
+      return driver.begin().then(function(tx) {
+        return driver.query("SELECT a").then(function() { return tx.rollback(); });
+      });
+    }).then(function() {
+      assert.strictEqual(backend.configs.length, 2);
+      assert.strictEqual(calls, 2);
+    });
+  });
+
+  it("should fail work if the provider fails", function() {
+    const backend = newBackend("secret");
+
+    return newCredentialsDriver(backend, {
+      password: function() { return Promise.reject(new Error("Vault is sealed")); }
+    }).then(function(driver) {
+      return expectError(driver.query("SELECT a"));
+    }).then(function(err) {
+      assert(err instanceof xsql.SQLConnectionError);
+      assert(/Vault is sealed/.test(err.message));
+      assert.strictEqual(backend.configs.length, 0);
+    });
+  });
+});
+
+// ============================================================================
+// [Replicas]
+// ============================================================================
+
+describe("Read replicas", function() {
+  it("should execute read-only queries by a replica", function() {
+    return newDriver({ replicas: [{}] }).then(function(driver) {
+      const replica = driver._internal.replicas[0];
+
+      return driver.query("SELECT a", null, { readOnly: true }).then(function() {
+        return driver.query("UPDATE t SET a = 1");
+      }).then(function() {
+        assert.deepEqual(getQueryStrings(replica), ["SELECT a"]);
+        assert.deepEqual(getQueryStrings(driver), ["UPDATE t SET a = 1"]);
+      });
+    });
+  });
+
+  it("should move reads of a replica that cannot connect to the primary", function() {
+    return newDriver({ replicas: [{}] }).then(function(driver) {
+      const replica = driver._internal.replicas[0];
+      replica.failConnections();
+
+      return driver.query("SELECT a", null, { readOnly: true }).then(function() {
+        assert(!replica._isHealthy());
+        return driver.query("SELECT b", null, { readOnly: true });
+      }).then(function() {
+        assert.deepEqual(getQueryStrings(replica), []);
+        assert.deepEqual(getQueryStrings(driver), ["SELECT a", "SELECT b"]);
+      });
+    });
+  });
+
+  it("should stop a replica that is being started", function() {
+    const driver = xsql.new(app, { engine: "mock", minConnections: 1, replicas: [{ connectDelay: 30 }] });
+    const replica = driver._internal.replicas[0];
+    const started = driver.start();
+
+    return new Promise(function(resolve) { setImmediate(resolve); }).then(function() {
+      assert.strictEqual(replica.getStatus(), "starting");
+      return driver.stop();
+    }).then(function() {
+      assert.strictEqual(replica.getStatus(), "stopped");
+      return started;
+    });
+  });
+});
+
+// ============================================================================
+// [Isolation]
+// ============================================================================
+
+describe("Test isolation", function() {
+  it("should roll back all work on reset", function() {
+    var driver;
+
+    return newDriver({}).then(function(d) {
+      driver = d;
+      return driver.isolate();
+    }).then(function() {
+      return driver.query("INSERT INTO t VALUES (1)");
+    }).then(function() {
+      return driver.reset();
+    }).then(function() {
+      const queries = driver.getQueries();
+      const savepoint = /^SAVEPOINT (\w+);$/.exec(queries[1].qs)[1];
+      const txId = queries[0].txId;
+
+      assert.deepEqual(getQueryStrings(driver), [
+        "BEGIN;",
+        "SAVEPOINT " + savepoint + ";",
+        "INSERT INTO t VALUES (1)",
+        "RELEASE SAVEPOINT " + savepoint + ";",
+        "ROLLBACK;"
+      ]);
+
+      // Everything has been done by the transaction held by the driver.
+      assert(txId !== null);
+      queries.forEach(function(query) { assert.strictEqual(query.txId, txId); });
+    });
+  });
+
+  it("should roll back a failed query to its savepoint", function() {
+    var driver;
+
+    return newDriver({}).then(function(d) {
+      driver = d;
+      driver.mockError("INSERT INTO t VALUES (1)", { message: "Duplicate key", code: "23505" });
+      return driver.isolate();
+    }).then(function() {
+      return expectError(driver.query("INSERT INTO t VALUES (1)"));
+    }).then(function(err) {
+      assert(err instanceof xsql.SQLUniqueViolationError);
+      return driver.query("SELECT a FROM t");
+    }).then(function() {
+      const qs = getQueryStrings(driver);
+
+      assert(qs.some(function(q) { return /^ROLLBACK TO SAVEPOINT /.test(q); }));
+      assert.strictEqual(qs[qs.length - 2], "SELECT a FROM t");
+      assert.strictEqual(qs.indexOf("ROLLBACK;"), -1);
+    });
+  });
+
+  it("should run concurrent transactions one at a time", function() {
+    var driver;
+
+    return newDriver({ queryDelay: 1 }).then(function(d) {
+      driver = d;
+      return driver.isolate();
+    }).then(function() {
+      const a = driver.transaction(function(tx) {
+        return tx.query("SELECT a1").then(function() {
+          return delay(20);
+        }).then(function() {
+          return tx.query("SELECT a2");
+        });
+      });
+
+      const b = expectError(driver.transaction(function(tx) {
+        return tx.query("SELECT b1").then(function() { throw new Error("Failed"); });
+      }));
+
+      const c = driver.query("SELECT c");
+      return Promise.all([a, b, c]);
+    }).then(function() {
+      const qs = getQueryStrings(driver).filter(function(q) { return /^SELECT/.test(q); });
+      assert.deepEqual(qs, ["SELECT a1", "SELECT a2", "SELECT b1", "SELECT c"]);
+
+      // Each transaction uses its own savepoint.
+      const savepoints = getQueryStrings(driver).filter(function(q) { return /^SAVEPOINT/.test(q); });
+      assert.strictEqual(savepoints.length, 3);
+      assert.notStrictEqual(savepoints[0], savepoints[1]);
+      assert.notStrictEqual(savepoints[1], savepoints[2]);
+    });
+  });
+
+  it("should invalidate transactions left open by endIsolation()", function() {
+    var driver;
+    var tx;
+    var waiting;
+
+    return newDriver({}).then(function(d) {
+      driver = d;
+      return driver.isolate();
+    }).then(function() {
+      return driver.begin();
+    }).then(function(t) {
+      tx = t;
+      waiting = expectError(driver.query("SELECT waiting"));
+      return driver.endIsolation();
+    }).then(function() {
+      return Promise.all([waiting, expectError(tx.query("SELECT 1")), expectError(tx.commit())]);
+    }).then(function(errors) {
+      errors.forEach(function(err) { assert(err instanceof xsql.SQLError); });
+      assert.strictEqual(getQueryStrings(driver).indexOf("SELECT waiting"), -1);
+    });
+  });
+
+  it("should fail a query waiting for the current transaction after 'queueTimeout'", function() {
+    var driver;
+    var tx;
+
+    return newDriver({ queueTimeout: 20 }).then(function(d) {
+      driver = d;
+      return driver.isolate();
+    }).then(function() {
+      return driver.begin();
+    }).then(function(t) {
+      tx = t;
+      return expectError(driver.query("SELECT outside"));
+    }).then(function(err) {
+      assert(err instanceof xsql.SQLTimeoutError);
+      return tx.commit();
+    }).then(function() {
+      return driver.query("SELECT after");
+    }).then(function() {
+      const qs = getQueryStrings(driver);
+
+      assert.strictEqual(qs.indexOf("SELECT outside"), -1);
+      assert.strictEqual(qs[qs.length - 2], "SELECT after");
+    });
+  });
+});
+
+// ============================================================================
+// [MySQL]
+// ============================================================================
+
+describe("MySQL", function() {
+  const mysql = require("./xpart-sql-mysql");
+
+  /**
+   * Fake `mysql` module, which answers each query by `respond(qs, values)`
+   * returning `[err, results, fields]`.
+   */
+  function newBackend(respond) {
+    const queries = [];
+    const connections = [];
+
+    class Connection extends EventEmitter {
+      connect(cb) {
+        setImmediate(cb, null);
+      }
+
+      query(qs, values, cb) {
+        if (typeof values === "function") {
+          cb = values;
+          values = null;
+        }
+
+        queries.push(qs);
+        const response = respond(qs, values);
+        setImmediate(cb, response[0], response[1], response[2]);
+      }
+
+      end() {}
+    }
+
+    return {
+      queries: queries,
+      connections: connections,
+      createConnection: function() {
+        const connection = new Connection();
+        connections.push(connection);
+        return connection;
+      }
+    };
+  }
+
+  function newMySQLDriver(backend, config) {
+    const options = { engine: "mysql", backend: backend };
+    for (var k in config)
+      options[k] = config[k];
+
+    const driver = xsql.new(app, options);
+    drivers.push(driver);
+
+    return driver.start().then(function() { return driver; });
+  }
+
+  it("should normalize results of single and multiple statements", function() {
+    const rowsFields = [{ name: "a" }];
+
+    assert.deepEqual(mysql.normalizeResult({ affectedRows: 3 }, undefined), { rows: [], count: 3 });
+    assert.deepEqual(mysql.normalizeResult([{ a: 1 }], rowsFields), { rows: [{ a: 1 }], count: 1 });
+
+    // START TRANSACTION; SELECT ...; COMMIT;
+    assert.deepEqual(mysql.normalizeResult(
+      [{ affectedRows: 0 }, [{ a: 1 }, { a: 2 }], { affectedRows: 0 }],
+      [undefined, rowsFields, undefined]), { rows: [{ a: 1 }, { a: 2 }], count: 2 });
+
+    // START TRANSACTION; UPDATE ...; COMMIT;
+    assert.deepEqual(mysql.normalizeResult(
+      [{ affectedRows: 0 }, { affectedRows: 4 }, { affectedRows: 0 }],
+      [undefined, undefined, undefined]), { rows: [], count: 4 });
+  });
+
+  it("should send a transaction together with its statements", function() {
+    const backend = newBackend(function() {
+      return [null, [{ affectedRows: 0 }, { affectedRows: 2 }, { affectedRows: 0 }], [undefined, undefined, undefined]];
+    });
+
+    return newMySQLDriver(backend).then(function(driver) {
+      return driver.begin().then(function(tx) {
+        return tx.commit("UPDATE t SET a = 1");
+      });
+    }).then(function(result) {
+      assert.strictEqual(result.count, 2);
+      assert.deepEqual(backend.queries, ["START TRANSACTION;\nUPDATE t SET a = 1;\nCOMMIT;"]);
+    });
+  });
+
+  it("should map MySQL errors to SQLError subclasses", function() {
+    const backend = newBackend(function() {
+      const err = new Error("ER_DUP_ENTRY: Duplicate entry '1' for key 't.PRIMARY'");
+      err.code = "ER_DUP_ENTRY";
+      err.sqlState = "23000";
+      err.sqlMessage = "Duplicate entry '1' for key 't.PRIMARY'";
+      return [err, null, null];
+    });
+
+    return newMySQLDriver(backend).then(function(driver) {
+      return expectError(driver.query("INSERT INTO t VALUES (1)"));
+    }).then(function(err) {
+      assert(err instanceof xsql.SQLUniqueViolationError);
+      assert.strictEqual(err.table, "t");
+      assert.strictEqual(err.constraint, "PRIMARY");
+    });
+  });
+
+  it("should replace a pooled client that lost its connection", function() {
+    const backend = newBackend(function() { return [null, [], []]; });
+    var driver;
+
+    return newMySQLDriver(backend, { minConnections: 1 }).then(function(d) {
+      driver = d;
+      backend.connections[0].emit("error", new Error("Connection lost: The server closed the connection."));
+      return delay(5);
+    }).then(function() {
+      assert.strictEqual(backend.connections.length, 2);
+      assert.strictEqual(driver.getStats().clients.total, 1);
+    });
+  });
+});
+
+// ============================================================================
+// [SQLite]
+// ============================================================================
+
+describe("SQLite", function() {
+  /**
+   * Fake `sqlite3` module, which records the method used by each query.
+   */
+  function newBackend(closeError) {
+    const calls = [];
+
+    class Database {
+      constructor(filename, cb) {
+        setImmediate(cb, null);
+      }
+
+      configure() {}
+      interrupt() {}
+
+      all(qs, values, cb) {
+        calls.push("all: " + qs);
+        setImmediate(cb, null, [{ a: 1 }]);
+      }
+
+      run(qs, values, cb) {
+        calls.push("run: " + qs);
+        setImmediate(function() { cb.call({ changes: 2 }, null); });
+      }
+
+      close(cb) {
+        setImmediate(cb, closeError || null);
+      }
+    }
+
+    return { Database: Database, calls: calls };
+  }
+
+  function newSQLiteDriver(backend, errors) {
+    const driver = xsql.new({
+      error: function(msg) { if (errors) errors.push(msg); },
+      silly: function() {}
+    }, { engine: "sqlite", backend: backend });
+
+    drivers.push(driver);
+    return driver.start().then(function() { return driver; });
+  }
+
+  it("should return no rows of queries that don't return rows", function() {
+    return newSQLiteDriver(newBackend()).then(function(driver) {
+      return driver.query("UPDATE t SET a = 1");
+    }).then(function(result) {
+      assert.deepEqual(result.rows, []);
+      assert.strictEqual(result.count, 2);
+    });
+  });
+
+  it("should detect queries that return rows after comments and parentheses", function() {
+    const backend = newBackend();
+
+    return newSQLiteDriver(backend).then(function(driver) {
+      return driver.query("-- Comment\n/* SELECT */ (SELECT a FROM t) UNION (SELECT b FROM u)").then(function(result) {
+        assert.deepEqual(result.rows, [{ a: 1 }]);
+        return driver.query("/* SELECT */ DELETE FROM t");
+      });
+    }).then(function() {
+      assert.deepEqual(backend.calls, [
+        "all: -- Comment\n/* SELECT */ (SELECT a FROM t) UNION (SELECT b FROM u)",
+        "run: /* SELECT */ DELETE FROM t"
+      ]);
+    });
+  });
+
+  it("should report a database that failed to close", function() {
+    const errors = [];
+    var driver;
+
+    return newSQLiteDriver(newBackend(new Error("Database is locked")), errors).then(function(d) {
+      driver = d;
+      return driver.query("SELECT 1");
+    }).then(function() {
+      return driver.stop();
+    }).then(function() {
+      return delay(5);
+    }).then(function() {
+      assert.deepEqual(errors, ["[xpart.sql] Failed to close the database: Error: Database is locked"]);
+    });
+  });
+});
+
+// ============================================================================
+// [Notifications]
+// ============================================================================
+
+describe("PostgreSQL notifications", function() {
+  it("should not reconnect the listening connection if no channels remain", function() {
+    const backend = newPGBackend();
+    const driver = xsql.new(app, { engine: "pgsql", backend: backend, connectRetryDelay: 1000 });
+
+    drivers.push(driver);
+    return driver.start().then(function() {
+      return driver.listen("jobs", function() {});
+    }).then(function() {
+      driver._internal.listener.emit("error", new Error("Connection terminated unexpectedly"));
+      assert(driver._internal.listenerTimer !== null);
+
+      return driver.unlisten("jobs", null);
+    }).then(function() {
+      assert.strictEqual(driver._internal.listenerTimer, null);
+      assert.strictEqual(backend.queries.indexOf('UNLISTEN "jobs";'), -1);
+    });
+  });
+});
+
+// ============================================================================
+// [Streams]
+// ============================================================================
+
+describe("Streams", function() {
+  /**
+   * Creates a pgsql driver of a fake backend, which returns `count` rows by
+   * cursors.
+   */
+  function newStreamDriver(count) {
+    var fetched = 0;
+
+    const backend = newPGBackend(function(qs) {
+      const m = /^FETCH FORWARD (\d+)/.exec(qs);
+      if (!m)
+        return null;
+
+      const rows = [];
+      while (rows.length < Number(m[1]) && fetched < count)
+        rows.push({ id: ++fetched });
+      return rows;
+    });
+
+    const driver = xsql.new(app, { engine: "pgsql", backend: backend });
+    drivers.push(driver);
+
+    return driver.start().then(function() {
+      return { driver: driver, queries: backend.queries };
+    });
+  }
+
+  /**
+   * Reads all rows of a `stream`, `onData` is called with each row.
+   */
+  function readAll(stream, onData) {
+    return new Promise(function(resolve, reject) {
+      const rows = [];
+
+      stream.on("data", function(row) {
+        rows.push(row.id);
+        if (onData)
+          onData(row);
+      });
+      stream.on("error", reject);
+      stream.on("end", function() { resolve(rows); });
+    });
+  }
+
+  it("should fetch rows in batches and close the cursor", function() {
+    return newStreamDriver(5).then(function(ctx) {
+      return readAll(ctx.driver.stream("SELECT id FROM t", null, { batchSize: 2 })).then(function(rows) {
+        assert.deepEqual(rows, [1, 2, 3, 4, 5]);
+
+        const qs = ctx.queries.map(function(q) { return q.split(" ")[0]; });
+        assert.deepEqual(qs, ["BEGIN;\nDECLARE", "FETCH", "FETCH", "FETCH", "CLOSE"]);
+        assert(/\nCOMMIT;$/.test(ctx.queries[ctx.queries.length - 1]));
+      });
+    });
+  });
+
+  it("should not fetch while a batch is being pushed", function() {
+    return newStreamDriver(3).then(function(ctx) {
+      const stream = ctx.driver.stream("SELECT id FROM t", null, { batchSize: 2 });
+
+      return readAll(stream, function() { stream.read(); }).then(function(rows) {
+        assert.deepEqual(rows, [1, 2, 3]);
+
+        const qs = ctx.queries.map(function(q) { return q.split(" ")[0]; });
+        assert.deepEqual(qs, ["BEGIN;\nDECLARE", "FETCH", "FETCH", "CLOSE"]);
+      });
+    });
+  });
+
+  it("should roll back the transaction of a destroyed stream", function() {
+    return newStreamDriver(5).then(function(ctx) {
+      const stream = ctx.driver.stream("SELECT id FROM t", null, { batchSize: 2 });
+
+      return new Promise(function(resolve) {
+        stream.once("data", function() { stream.destroy(); });
+        stream.on("close", resolve);
+      }).then(function() {
+        assert.strictEqual(ctx.queries[ctx.queries.length - 1], "ROLLBACK;");
+        assert.strictEqual(ctx.driver.getStats().clients.active, 0);
+      });
+    });
+  });
+});
+
+// ============================================================================
+// [Mock]
+// ============================================================================
+
+describe("Mock driver", function() {
+  it("should match string patterns against the whole query", function() {
+    return newDriver({}).then(function(driver) {
+      driver.mock("SELECT a FROM t", [{ a: 1 }]);
+
+      return Promise.all([
+        driver.query("  SELECT a\n  FROM t;"),
+        driver.query("SELECT a FROM t WHERE a = 1")
+      ]).then(function(results) {
+        assert.deepEqual(results[0].rows, [{ a: 1 }]);
+        assert.deepEqual(results[1].rows, []);
+      });
+    });
+  });
+
+  it("should match regular expressions against the query", function() {
+    return newDriver({}).then(function(driver) {
+      driver.mock(/FROM t\b/, [{ a: 1 }]);
+      driver.mock(/FROM t\b/, { rows: [{ a: 2 }], times: 1 });
+
+      return driver.query("SELECT a FROM t WHERE a = 1").then(function(result) {
+        assert.deepEqual(result.rows, [{ a: 2 }]);
+        return driver.query("SELECT a FROM t");
+      }).then(function(result) {
+        assert.deepEqual(result.rows, [{ a: 1 }]);
+        return driver.query("SELECT a FROM u");
+      }).then(function(result) {
+        assert.deepEqual(result.rows, []);
+      });
+    });
+  });
+
+  it("should call a function response with the query and its values", function() {
+    return newDriver({}).then(function(driver) {
+      driver.mock(/^SELECT/, function(qs, values) {
+        return { rows: [{ qs: qs, value: values[0] }], count: 5 };
+      });
+
+      return driver.query("SELECT $1", [42]).then(function(result) {
+        assert.deepEqual(result.rows, [{ qs: "SELECT $1", value: 42 }]);
+        assert.strictEqual(result.count, 5);
+      });
+    });
+  });
+
+  it("should map mocked errors to SQLError subclasses", function() {
+    return newDriver({}).then(function(driver) {
+      driver.mockError("INSERT INTO t VALUES (1)", { message: "Duplicate key", code: "23505", constraint: "t_pkey" });
+      driver.mockError(/^UPDATE/, "Failed");
+
+      return Promise.all([
+        expectError(driver.query("INSERT INTO t VALUES (1)")),
+        expectError(driver.query("UPDATE t SET a = 1"))
+      ]);
+    }).then(function(errors) {
+      assert(errors[0] instanceof xsql.SQLUniqueViolationError);
+      assert.strictEqual(errors[0].constraint, "t_pkey");
+
+      assert(errors[1] instanceof xsql.SQLError);
+      assert(/Failed/.test(errors[1].message));
+    });
+  });
+
+  it("should fail unmatched queries in strict mode", function() {
+    return newDriver({ strict: true }).then(function(driver) {
+      driver.mock("SELECT a", []);
+
+      return driver.transaction(function(tx) {
+        return tx.query("SELECT a").then(function() {
+          return expectError(tx.query("SELECT b"));
+        });
+      });
+    }).then(function(err) {
+      assert(err instanceof xsql.SQLError);
+      assert(/No mock response/.test(err.message));
+    });
+  });
+
+  it("should record transaction IDs of queries", function() {
+    var driver;
+
+    return newDriver({}).then(function(d) {
+      driver = d;
+      return driver.transaction(function(tx) { return tx.query("SELECT a"); });
+    }).then(function() {
+      return driver.query("SELECT b");
+    }).then(function() {
+      const queries = driver.getQueries();
+
+      assert.deepEqual(getQueryStrings(driver), ["BEGIN;", "SELECT a", "COMMIT;", "SELECT b"]);
+      assert(queries[0].txId !== null);
+      assert.strictEqual(queries[1].txId, queries[0].txId);
+      assert.strictEqual(queries[2].txId, queries[0].txId);
+      assert.strictEqual(queries[3].txId, null);
+
+      driver.clearQueries();
+      assert.deepEqual(driver.getQueries(), []);
+    });
+  });
+
+  it("should fail connection attempts", function() {
+    var driver;
+
+    return newDriver({ connectRetryDelay: 1 }).then(function(d) {
+      driver = d;
+      driver.failConnections(2, { message: "Too many connections", code: "53300" });
+      return driver.query("SELECT a");
+    }).then(function() {
+      assert.deepEqual(getQueryStrings(driver), ["SELECT a"]);
+      assert.strictEqual(driver.getStats().failures, 0);
+    });
+  });
+
+  it("should fail queries of dropped connections", function() {
+    var driver;
+    var first;
+
+    return newDriver({ maxConnections: 1 }).then(function(d) {
+      driver = d;
+      return driver.query("SELECT a");
+    }).then(function() {
+      first = driver.getQueries()[0].connection;
+      driver.dropConnections();
+      return expectError(driver.query("SELECT b"));
+    }).then(function(err) {
+      assert(err instanceof xsql.SQLConnectionError);
+      return driver.query("SELECT c");
+    }).then(function() {
+      const queries = driver.getQueries();
+
+      assert.strictEqual(queries[1].connection, first);
+      assert.notStrictEqual(queries[2].connection, first);
+    });
+  });
+
+  it("should remove responses and connection failures on reset", function() {
+    return newDriver({ connectRetryDelay: 1 }).then(function(driver) {
+      driver.mock("SELECT a", [{ a: 1 }]);
+      driver.failConnections();
+      driver.resetMock();
+
+      return driver.query("SELECT a").then(function(result) {
+        assert.deepEqual(result.rows, []);
+        assert.deepEqual(getQueryStrings(driver), ["SELECT a"]);
+      });
+    });
+  });
+
+  it("should reject a deferrable transaction that is not serializable and read-only", function() {
+    return newDriver({}).then(function(driver) {
+      return Promise.all([
+        expectError(driver.begin({ deferrable: true })),
+        expectError(driver.begin({ isolation: "serializable", deferrable: true })),
+        driver.transaction(function(tx) {
+          return tx.query("SELECT a");
+        }, { isolation: "serializable", readOnly: true, deferrable: true })
+      ]).then(function(results) {
+        assert(results[0] instanceof xsql.SQLError);
+        assert(results[1] instanceof xsql.SQLError);
+        assert.strictEqual(getQueryStrings(driver)[0], "BEGIN ISOLATION LEVEL SERIALIZABLE READ ONLY DEFERRABLE;");
+      });
+    });
+  });
+});
+
+// ============================================================================
+// [Migrator]
+// ============================================================================
+
+describe("Migrator", function() {
+  /**
+   * Creates a migrator of `driver` that keeps the applied versions in
+   * `applied` instead of the migrations table.
+   */
+  function newMigrator(driver, applied) {
+    driver.mock(/^SELECT version, name, applied_at FROM xpart_migrations/, function() {
+      return applied.map(function(version) { return { version: version, name: "m" + version, applied_at: null }; });
+    });
+
+    driver.mock(/^SELECT version FROM xpart_migrations WHERE/, function(qs, values) {
+      return applied.indexOf(values[0]) !== -1 ? [{ version: values[0] }] : [];
+    });
+
+    driver.mock(/^INSERT INTO xpart_migrations/, function(qs, values) {
+      applied.push(values[0]);
+      return { count: 1 };
+    });
+
+    driver.mock(/^DELETE FROM xpart_migrations/, function(qs, values) {
+      applied.splice(applied.indexOf(values[0]), 1);
+      return { count: 1 };
+    });
+
+    return xsql.newMigrator(driver, {
+      migrations: [
+        { version: 1, name: "a", up: "CREATE TABLE a (x INT);\nCREATE TABLE b (y INT);", down: "DROP TABLE b;\nDROP TABLE a;" },
+        { version: 2, name: "c", up: "CREATE TABLE c (z INT);", down: "DROP TABLE c;" }
+      ]
+    });
+  }
+
+  it("should apply pending migrations in order", function() {
+    const applied = [];
+    var driver;
+
+    return newDriver({}).then(function(d) {
+      driver = d;
+      return newMigrator(driver, applied).migrate();
+    }).then(function(migrations) {
+      assert.deepEqual(migrations.map(function(m) { return m.version; }), [1, 2]);
+      assert.deepEqual(applied, [1, 2]);
+
+      // Each statement of a script is executed separately.
+      const qs = getQueryStrings(driver).filter(function(q) { return /^CREATE TABLE [abc] /.test(q); });
+      assert.deepEqual(qs, ["CREATE TABLE a (x INT)", "CREATE TABLE b (y INT)", "CREATE TABLE c (z INT)"]);
+    });
+  });
+
+  it("should roll back applied migrations from the newest", function() {
+    const applied = [];
+    var migrator;
+    var driver;
+
+    return newDriver({}).then(function(d) {
+      driver = d;
+      migrator = newMigrator(driver, applied);
+      return migrator.migrate();
+    }).then(function() {
+      driver.clearQueries();
+      return migrator.to(0);
+    }).then(function(migrations) {
+      assert.deepEqual(migrations.map(function(m) { return m.version; }), [2, 1]);
+      assert.deepEqual(applied, []);
+
+      const qs = getQueryStrings(driver).filter(function(q) { return /^DROP TABLE/.test(q); });
+      assert.deepEqual(qs, ["DROP TABLE c", "DROP TABLE b", "DROP TABLE a"]);
+    });
+  });
+
+  it("should reject invalid and unknown target versions", function() {
+    return newDriver({}).then(function(driver) {
+      const migrator = newMigrator(driver, []);
+
+      return Promise.all([
+        expectError(migrator.to(NaN)),
+        expectError(migrator.to("1")),
+        expectError(migrator.to(3))
+      ]);
+    }).then(function(errors) {
+      errors.forEach(function(err) { assert(err instanceof xsql.SQLError); });
+      assert(/Invalid migration version/.test(errors[0].message));
+      assert(/Invalid migration version/.test(errors[1].message));
+      assert(/Unknown migration version/.test(errors[2].message));
+    });
+  });
+  it("should parse up and down sections of a SQL migration", function() {
+    assert.deepEqual(migrator.parseSQLMigration("-- migrate:up\nCREATE TABLE a (x INT);\n\n-- migrate:down\nDROP TABLE a;\n"), {
+      up: "CREATE TABLE a (x INT);",
+      down: "DROP TABLE a;"
+    });
+
+    assert.deepEqual(migrator.parseSQLMigration("\nCREATE TABLE a (x INT);\n"), {
+      up: "CREATE TABLE a (x INT);",
+      down: null
+    });
+  });
+
+  it("should split a script into statements", function() {
+    assert.deepEqual(migrator.splitSQLStatements(
+      "INSERT INTO t VALUES ('a;b');\n" +
+      "-- comment;\n" +
+      "CREATE TRIGGER tr AFTER INSERT ON t BEGIN\n  UPDATE u SET n = n + 1;\nEND;\n" +
+      "SELECT \"x;y\" FROM t"
+    ), [
+      "INSERT INTO t VALUES ('a;b')",
+      "-- comment;\nCREATE TRIGGER tr AFTER INSERT ON t BEGIN\n  UPDATE u SET n = n + 1;\nEND",
+      "SELECT \"x;y\" FROM t"
+    ]);
+  });
+});
@@ -0,0 +1,218 @@
+"use strict";
+
+const core = require("./xpart-sql");
+
+const SQLError = core.SQLError;
+const SQLDriver = core.SQLDriver;
+const SQLClient = core.SQLClient;
+
+// ============================================================================
+// [Utils]
+// ============================================================================
+
+/**
+ * Creates a new `SQLiteDriver` instance.
+ */
+function new_(app, config) {
+  return new SQLiteDriver(app, config);
+}
+exports.new = new_;
+
+/**
+ * Matches queries that return rows, which are executed by `Database.all()`,
+ * all other queries are executed by `Database.run()` to get the number of
+ * changed rows. Leading comments, whitespace, and parentheses are skipped.
+ */
+const reRowsQuery = /^(?:\s+|--[^\n]*\n|\/\*(?:[^*]|\*(?!\/))*\*\/|\()*(?:SELECT|WITH|PRAGMA|VALUES|EXPLAIN)\b|\bRETURNING\b/i;
+
+/**
+ * Maps SQLite constraint types to SQLSTATE codes.
+ */
+const sqliteConstraints = {
+  "UNIQUE"     : "23505",
+  "FOREIGN KEY": "23503",
+  "NOT NULL"   : "23502",
+  "CHECK"      : "23514"
+};
+
+// ============================================================================
+// [SQLiteDriver]
+// ============================================================================
+
+/**
+ * SQLite database driver.
+ *
+ * SQLite doesn't use a server, `config.filename` (or `config.database`) is a
+ * path to the database file, `":memory:"` (the default) creates an in-memory
+ * database.
+ *
+ * SQLite allows only one writer at a time. The driver uses only one client
+ * by default, so all transactions are serialized by the driver's queue. More
+ * clients can be configured by `maxConnections` if the database is a file,
+ * in that case `busyTimeout` specifies how long a client waits for the lock
+ * held by another client. In-memory databases always use one client as each
+ * connection would open a different database.
+ *
+ * NOTE: SQLite executes only one statement per query. Transactions are not
+ * affected as `SQLClient` sends `BEGIN`, `COMMIT` and `ROLLBACK` separately.
+ */
+class SQLiteDriver extends SQLDriver {
+  constructor(app, config) {
+    super(app, config);
+
+    var internal = this._internal;
+    internal.dialect = "sqlite";
+    internal.multiStatements = false;
+
+    // Generic options.
+    this._postConfigure(config, {
+      driver: "sqlite3"
+    });
+
+    // SQLite specific options.
+    internal.filename = config.filename || internal.database || ":memory:";
+    internal.sqliteMode = config.sqliteMode || 0;
+    internal.busyTimeout = config.busyTimeout || 5000;
+
+    if (internal.filename === ":memory:" || !config.maxConnections)
+      internal.clientsMaximum = 1;
+  }
+
+  /** @override */
+  _getBeginQuery(options) {
+    // SQLite transactions are always serializable, which satisfies any of the
+    // requested isolation levels. Read-only transactions are not supported.
+    if (options) {
+      if (options.readOnly)
+        throw new SQLError("Read-only transactions are not supported by SQLite");
+
+      if (options.deferrable)
+        throw new SQLError("Deferrable transactions are not supported by SQLite");
+    }
+
+    return "BEGIN;";
+  }
+
+  /** @override */
+  _getErrorInfo(err) {
+    const info = super._getErrorInfo(err);
+    const message = err.message;
+
+    var m;
+    switch (err.code) {
+      case "SQLITE_CONSTRAINT":
+        if ((m = /(UNIQUE|FOREIGN KEY|NOT NULL|CHECK) constraint failed(?:: (?:(\w+)\.)?(\w+))?/.exec(message))) {
+          info.code = sqliteConstraints[m[1]];
+          if (m[1] === "CHECK") {
+            info.constraint = m[3] || null;
+          }
+          else {
+            info.table = m[2] || null;
+            info.column = m[3] || null;
+          }
+        }
+        else {
+          info.code = "23000";
+        }
+        break;
+
+      // A busy database means that another client holds a conflicting lock,
+      // the transaction can be retried like a serialization failure.
+      case "SQLITE_BUSY":
+        info.code = "40001";
+        break;
+
+      case "SQLITE_INTERRUPT":
+        info.code = "57014";
+        break;
+    }
+
+    return info;
+  }
+
+  /** @override */
+  _createClient(cb) {
+    var self = this;
+
+    var internal = this._internal;
+    var impl = null;
+
+    function onOpen(err) {
+      if (err)
+        return cb(err, null);
+
+      impl.configure("busyTimeout", internal.busyTimeout);
+      cb(null, new SQLiteClient(self, impl));
+    }
+
+    if (internal.sqliteMode)
+      impl = new internal.impl.Database(internal.filename, internal.sqliteMode, onOpen);
+    else
+      impl = new internal.impl.Database(internal.filename, onOpen);
+  }
+
+  /** @override */
+  _destroyClient(client) {
+    const self = this;
+
+    client._impl.close(function(err) {
+      if (err)
+        self.app.error("[xpart.sql] Failed to close the database: " + err.toString());
+    });
+  }
+}
+exports.SQLiteDriver = SQLiteDriver;
+
+// ============================================================================
+// [SQLiteClient]
+// ============================================================================
+
+/**
+ * SQLite client.
+ */
+class SQLiteClient extends SQLClient {
+  constructor(driver, impl) {
+    super(driver, impl);
+
+    const self = this;
+
+    this._onQuery = SQLiteClient.prototype._onQuery.bind(this);
+
+    // `Database.run()` passes the number of changes through `this`, which is
+    // the statement, so the handler cannot be bound.
+    this._onRun = function(err) {
+      if (err)
+        return self._onQueryDone(err, null);
+
+      return self._onQueryDone(null, {
+        rows : [],
+        count: this.changes
+      });
+    };
+  }
+
+  /** @override */
+  _cancel() {
+    this._impl.interrupt();
+  }
+
+  /** @override */
+  _query(qs, values) {
+    if (reRowsQuery.test(qs))
+      this._impl.all(qs, values || [], this._onQuery);
+    else
+      this._impl.run(qs, values || [], this._onRun);
+  }
+
+  /** @private */
+  _onQuery(err, rows) {
+    if (err)
+      return this._onQueryDone(err, null);
+
+    return this._onQueryDone(null, {
+      rows : rows,
+      count: rows.length
+    });
+  }
+}
+exports.SQLiteClient = SQLiteClient;
@@ -1,5 +1,7 @@
 "use strict";
 
+const Readable = require("stream").Readable;
+
 function new_(app, config) {
   const engine = getEngine(config.engine);
   return engine.new(app, config);
@@ -22,10 +24,380 @@ function getEngine(name) {
 }
 exports.getEngine = getEngine;
 
+/**
+ * Creates a new `SQLMigrator` instance, see `xpart-sql-migrator.js`.
+ *
+ * @param {SQLDriver} driver SQL driver to use.
+ * @param {object} options Migrator options.
+ * @return {SQLMigrator}
+ */
+function newMigrator(driver, options) {
+  return require("./xpart-sql-migrator.js").new(driver, options);
+}
+exports.newMigrator = newMigrator;
+
 const nopCompiler = new class {
   compile(q) { return String(q); }
 };
 
+/**
+ * Transaction isolation levels, see `SQLDriver.begin()`.
+ */
+const isolationLevels = [
+  "READ UNCOMMITTED",
+  "READ COMMITTED",
+  "REPEATABLE READ",
+  "SERIALIZABLE"
+];
+
+/**
+ * Validation modes of pooled clients:
+ *
+ *   - `"none"` - Clients are not validated.
+ *   - `"checkout"` - Clients are validated before they are taken from the pool.
+ *   - `"interval"` - Idle clients are validated periodically.
+ */
+const validationModes = [
+  "none",
+  "checkout",
+  "interval"
+];
+
+/**
+ * Calls `fn` with a node-style callback and returns a promise that is either
+ * resolved or rejected by that callback. Used by all functions that return a
+ * promise if they were called without a callback. Exported to be used by
+ * driver implementations.
+ *
+ * @param {function} fn Function that accepts a callback.
+ * @return {Promise}
+ */
+function callAsPromise(fn) {
+  return new Promise(function(resolve, reject) {
+    fn(function(err, result) {
+      if (err)
+        reject(err);
+      else
+        resolve(result);
+    });
+  });
+}
+exports.callAsPromise = callAsPromise;
+
+/**
+ * Options that specify the server to connect to, see `getReplicaConfig()`.
+ *
+ * @private
+ */
+const replicaServerOptions = ["hosts", "host", "socketPath"];
+
+/**
+ * Returns the configuration of a read replica, which is the primary's `config`
+ * overridden by the `replica` configuration (`host`, `port`, etc).
+ *
+ * @private
+ */
+function getReplicaConfig(config, replica) {
+  const out = {};
+
+  for (var k in config)
+    out[k] = config[k];
+
+  for (var k in replica)
+    out[k] = replica[k];
+
+  // Replicas don't have replicas and their failures are not fatal as reads
+  // fall back to the primary.
+  out.replicas = null;
+  out.onConnectionFailure = null;
+
+  // A replica that specifies where to connect must not inherit any of the
+  // primary's server options, they would take precedence over its own. The
+  // primary's connection string still provides other options (credentials,
+  // database, etc) as its hosts are used only if no server option is given.
+  var hasServer = replica.connectionString != null;
+  for (var i = 0; i < replicaServerOptions.length; i++)
+    if (replica[replicaServerOptions[i]] != null)
+      hasServer = true;
+
+  if (hasServer) {
+    for (var j = 0; j < replicaServerOptions.length; j++) {
+      const name = replicaServerOptions[j];
+      out[name] = replica[name] != null ? replica[name] : null;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Returns whether a read-only query that failed on a read replica with `err`
+ * should be executed by the primary. These are errors of a replica that
+ * couldn't execute the query at all:
+ *
+ *   - `SQLConnectionError` - The replica lost its connection or couldn't
+ *     create a client.
+ *   - `SQLQueueFullError` - The replica's pool is exhausted and its queue is
+ *     full.
+ *   - `SQLTimeoutError` of a query that timed out waiting in the replica's
+ *     queue (`err.queued`). A query that timed out while being executed is
+ *     not retried, it would most likely time out on the primary as well.
+ *
+ * @private
+ */
+function isReplicaFallbackError(err) {
+  return err instanceof SQLConnectionError ||
+         err instanceof SQLQueueFullError ||
+         (err instanceof SQLTimeoutError && err.queued === true);
+}
+
+/**
+ * Calls a transaction function `fn` (see `SQLDriver.transaction()`), which
+ * either accepts a callback or returns a value or a promise, and passes its
+ * result to `cb`. Exported to be used by the migrator.
+ */
+function callTransactionFn(fn, tx, cb) {
+  var done = false;
+
+  function onDone(err, result) {
+    if (done)
+      return;
+
+    done = true;
+    cb(err || null, err ? null : result);
+  }
+
+  var ret;
+  try {
+    if (fn.length >= 2)
+      return fn(tx, onDone);
+    ret = fn(tx);
+  }
+  catch (ex) {
+    return onDone(ex, null);
+  }
+
+  if (ret && typeof ret.then === "function")
+    ret.then(function(result) { onDone(null, result); }, function(err) { onDone(err || new SQLError("Transaction failed"), null); });
+  else
+    onDone(null, ret);
+}
+exports.callTransactionFn = callTransactionFn;
+
+/**
+ * Wraps a password provider `fn` into a credentials provider.
+ *
+ * @private
+ */
+function wrapPasswordFn(fn) {
+  return function(cb) {
+    callCredentialsFn(fn, function(err, password) {
+      cb(err, err ? null : { password: password });
+    });
+  };
+}
+
+/**
+ * Calls a credentials provider `fn` (see `SQLDriver`), which either accepts
+ * a callback or returns a value or a promise, and passes its result to `cb`.
+ *
+ * @private
+ */
+function callCredentialsFn(fn, cb) {
+  var done = false;
+
+  function onDone(err, result) {
+    if (done)
+      return;
+
+    done = true;
+    cb(err || null, err ? null : result);
+  }
+
+  var ret;
+  try {
+    if (fn.length >= 1)
+      return fn(onDone);
+    ret = fn();
+  }
+  catch (ex) {
+    return onDone(ex, null);
+  }
+
+  if (ret && typeof ret.then === "function")
+    ret.then(function(result) { onDone(null, result); }, function(err) { onDone(err || new SQLError("Credentials provider failed"), null); });
+  else
+    onDone(null, ret);
+}
+
+/**
+ * Returns whether the error `err` is a serialization failure or a deadlock,
+ * which means that the transaction can be retried.
+ *
+ * @private
+ */
+function isRetryableError(err) {
+  return err instanceof SQLSerializationError;
+}
+
+/**
+ * Returns the name of a savepoint used by a nested transaction at `depth`.
+ *
+ * @private
+ */
+function getSavepointName(depth) {
+  return "xpart_sp_" + depth;
+}
+
+/**
+ * Callback of a query that has timed out.
+ *
+ * @private
+ */
+function ignoreResult(err, result) {}
+
+/**
+ * Cursor ID counter, see `SQLStream`.
+ *
+ * @private
+ */
+var cursorIdGenerator = 0;
+
+/**
+ * Savepoint ID counter, see `SQLIsolatedClient`.
+ *
+ * @private
+ */
+var savepointIdGenerator = 0;
+
+/**
+ * Formats the query string `qs` and its `values` for logging.
+ *
+ * @private
+ */
+function formatQuery(qs, values) {
+  return Array.isArray(values) ? qs + "\n[xpart.sql] Values: " + JSON.stringify(values) : qs;
+}
+
+/**
+ * Ring buffer of the most recent samples (durations in milliseconds) used to
+ * calculate percentiles. The count and the sum of all samples are kept as
+ * well, not just of the samples in the buffer.
+ *
+ * @private
+ */
+class SampleBuffer {
+  constructor(capacity) {
+    this.data = new Float64Array(capacity);
+    this.index = 0;
+    this.size = 0;
+    this.count = 0;
+    this.sum = 0;
+  }
+
+  add(value) {
+    this.data[this.index] = value;
+    this.index = (this.index + 1) % this.data.length;
+    if (this.size < this.data.length)
+      this.size++;
+
+    this.count++;
+    this.sum += value;
+  }
+
+  summarize() {
+    const sorted = Array.prototype.slice.call(this.data, 0, this.size).sort(function(a, b) { return a - b; });
+    const size = sorted.length;
+
+    function percentile(p) {
+      return size ? sorted[Math.min(Math.ceil(p * size) - 1, size - 1)] : 0;
+    }
+
+    return {
+      count: this.count,
+      sum  : this.sum,
+      p50  : percentile(0.50),
+      p90  : percentile(0.90),
+      p99  : percentile(0.99),
+      max  : size ? sorted[size - 1] : 0
+    };
+  }
+}
+
+/**
+ * Formats statistics returned by `SQLDriver.getStats()` in Prometheus text
+ * exposition format. Durations are converted to seconds as recommended by
+ * Prometheus.
+ *
+ * @param {object} stats Statistics returned by `SQLDriver.getStats()`.
+ * @param {object} [options] Options:
+ *   - `prefix` - Prefix of all metric names (defaults to "xpart_sql").
+ *   - `labels` - Labels added to all metrics, like `{ db: "main" }`.
+ * @return {string} Metrics in Prometheus text format.
+ */
+function formatPrometheus(stats, options) {
+  const prefix = (options && options.prefix) || "xpart_sql";
+  const labels = (options && options.labels) || null;
+
+  var common = "";
+  if (labels) {
+    for (var k in labels) {
+      const value = String(labels[k]).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+      common += (common ? "," : "") + k + "=\"" + value + "\"";
+    }
+  }
+
+  var out = "";
+
+  function metric(name, type, help) {
+    out += "# HELP " + prefix + "_" + name + " " + help + "\n";
+    out += "# TYPE " + prefix + "_" + name + " " + type + "\n";
+  }
+
+  function sample(name, value, label) {
+    const all = common && label ? common + "," + label : common || label || "";
+    out += prefix + "_" + name + (all ? "{" + all + "}" : "") + " " + value + "\n";
+  }
+
+  function summary(name, help, s) {
+    metric(name, "summary", help);
+    sample(name, s.p50 / 1000, "quantile=\"0.5\"");
+    sample(name, s.p90 / 1000, "quantile=\"0.9\"");
+    sample(name, s.p99 / 1000, "quantile=\"0.99\"");
+    sample(name + "_sum", s.sum / 1000, "");
+    sample(name + "_count", s.count, "");
+  }
+
+  metric("clients", "gauge", "Number of SQL clients.");
+  sample("clients", stats.clients.active, "state=\"active\"");
+  sample("clients", stats.clients.idle, "state=\"idle\"");
+
+  metric("clients_max", "gauge", "Maximum number of SQL clients.");
+  sample("clients_max", stats.clients.maximum, "");
+
+  metric("queue_size", "gauge", "Number of queries and transactions waiting for a SQL client.");
+  sample("queue_size", stats.queue.size, "");
+
+  metric("connection_failures", "gauge", "Number of consecutive failures to connect to the SQL server.");
+  sample("connection_failures", stats.failures, "");
+
+  metric("queries_total", "counter", "Number of executed SQL queries.");
+  sample("queries_total", stats.queries, "");
+
+  metric("query_errors_total", "counter", "Number of failed SQL queries.");
+  sample("query_errors_total", stats.errors, "");
+
+  metric("transactions_total", "counter", "Number of finished SQL transactions.");
+  sample("transactions_total", stats.txCommitted, "result=\"commit\"");
+  sample("transactions_total", stats.txRolledBack, "result=\"rollback\"");
+
+  summary("query_duration_seconds", "Duration of SQL queries.", stats.queryTime);
+  summary("pool_wait_seconds", "Time spent waiting for a SQL client.", stats.waitTime);
+
+  return out;
+}
+exports.formatPrometheus = formatPrometheus;
+
 // ============================================================================
 // [SQLError]
 // ============================================================================
@@ -33,17 +405,177 @@ const nopCompiler = new class {
 /**
  * SQL error that can be returned by an underlying SQL driver.
  *
+ * Errors returned by the SQL server are wrapped by the driver, so they provide
+ * the same fields regardless of the SQL engine. Fields that are not provided
+ * by the engine are `null`.
+ *
  * @param message Error mesasge.
+ * @param {object} [info] Error information:
+ *   - `code` - SQLSTATE code (like "23505").
+ *   - `detail` - Detail of the error reported by the server.
+ *   - `constraint` - Name of the violated constraint.
+ *   - `table` - Name of the table related to the error.
+ *   - `column` - Name of the column related to the error.
+ *   - `position` - Position of the error in the query string (1-based).
+ *   - `query` - Query string that failed.
+ *   - `dialect` - Dialect of the driver ("pgsql", "mysql", or "sqlite").
+ *   - `cause` - Original error returned by the underlying SQL driver.
  */
 class SQLError extends Error {
-  constructor(message) {
+  constructor(message, info) {
     super(message);
     this.name = "SQLError";
     this.message = message;
+
+    this.code       = info && info.code       || null;
+    this.detail     = info && info.detail     || null;
+    this.constraint = info && info.constraint || null;
+    this.table      = info && info.table      || null;
+    this.column     = info && info.column     || null;
+    this.position   = info && info.position   || null;
+    this.query      = info && info.query      || null;
+    this.dialect    = info && info.dialect    || null;
+    this.cause      = info && info.cause      || null;
   }
 }
 exports.SQLError = SQLError;
 
+/**
+ * SQL error returned when a query didn't finish in time.
+ *
+ * @param message Error message.
+ */
+class SQLTimeoutError extends SQLError {
+  constructor(message) {
+    super(message);
+    this.name = "SQLTimeoutError";
+    this.timeout = true;
+  }
+}
+exports.SQLTimeoutError = SQLTimeoutError;
+
+/**
+ * SQL error returned when the driver's queue is full.
+ *
+ * @param message Error message.
+ */
+class SQLQueueFullError extends SQLError {
+  constructor(message) {
+    super(message);
+    this.name = "SQLQueueFullError";
+  }
+}
+exports.SQLQueueFullError = SQLQueueFullError;
+
+/**
+ * SQL error returned when a unique constraint is violated (SQLSTATE 23505).
+ *
+ * @param message Error message.
+ * @param {object} [info] Error information, see `SQLError`.
+ */
+class SQLUniqueViolationError extends SQLError {
+  constructor(message, info) {
+    super(message, info);
+    this.name = "SQLUniqueViolationError";
+  }
+}
+exports.SQLUniqueViolationError = SQLUniqueViolationError;
+
+/**
+ * SQL error returned when a foreign key constraint is violated (SQLSTATE 23503).
+ *
+ * @param message Error message.
+ * @param {object} [info] Error information, see `SQLError`.
+ */
+class SQLForeignKeyViolationError extends SQLError {
+  constructor(message, info) {
+    super(message, info);
+    this.name = "SQLForeignKeyViolationError";
+  }
+}
+exports.SQLForeignKeyViolationError = SQLForeignKeyViolationError;
+
+/**
+ * SQL error returned when a transaction cannot be serialized or it has been
+ * aborted to resolve a deadlock (SQLSTATE 40001 and 40P01). Such transaction
+ * can be retried, see `SQLDriver.transaction()`.
+ *
+ * @param message Error message.
+ * @param {object} [info] Error information, see `SQLError`.
+ */
+class SQLSerializationError extends SQLError {
+  constructor(message, info) {
+    super(message, info);
+    this.name = "SQLSerializationError";
+  }
+}
+exports.SQLSerializationError = SQLSerializationError;
+
+/**
+ * SQL error returned when the connection to the SQL server has been lost
+ * (SQLSTATE class 08 or a server shutdown). The client is not reused.
+ *
+ * @param message Error message.
+ * @param {object} [info] Error information, see `SQLError`.
+ */
+class SQLConnectionError extends SQLError {
+  constructor(message, info) {
+    super(message, info);
+    this.name = "SQLConnectionError";
+  }
+}
+exports.SQLConnectionError = SQLConnectionError;
+
+/**
+ * Returns the error class that matches the SQLSTATE `code`.
+ *
+ * @private
+ */
+function getErrorClass(code) {
+  switch (code) {
+    case "23505": return SQLUniqueViolationError;
+    case "23503": return SQLForeignKeyViolationError;
+    case "40001":
+    case "40P01": return SQLSerializationError;
+    case "57P01":
+    case "57P02":
+    case "57P03": return SQLConnectionError;
+  }
+
+  if (code && code.substr(0, 2) === "08")
+    return SQLConnectionError;
+
+  return SQLError;
+}
+
+/**
+ * Matches a SQLSTATE code.
+ *
+ * @private
+ */
+const reSQLState = /^[0-9A-Z]{5}$/;
+
+/**
+ * Matches a query string that ends with a statement terminator.
+ *
+ * @private
+ */
+const reTerminated = /;\s*$/;
+
+/**
+ * Socket errors that mean the connection to the SQL server has been lost.
+ *
+ * @private
+ */
+const socketErrors = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "EPIPE",
+  "ETIMEDOUT",
+  "EHOSTUNREACH"
+];
+
 // ============================================================================
 // [SQLDriver]
 // ============================================================================
@@ -63,13 +595,17 @@ class SQLDriver {
       status         : "pending",                    // SQL driver status.
 
       compiler       : nopCompiler,                  // SQL query compiler.
+      multiStatements: true,                         // SQL engine can execute multiple statements at once.
+      cursors        : false,                        // SQL engine supports server-side cursors (DECLARE/FETCH).
 
       host           : config.host || null,          // SQL server host.
       port           : config.port || null,          // SQL server port.
       username       : config.username || null,      // SQL user name.
-      password       : config.password || null,      // SQL user's password.
+      password       : typeof config.password === "function" ? null : config.password || null, // SQL user's password.
       database       : config.database || null,      // SQL database.
 
+      queryTimeout   : config.queryTimeout || 0,     // Default query timeout [ms], 0 if disabled.
+
       debugQueries   : Boolean(config.debugQueries), // Print queries.
       debugResults   : Boolean(config.debugResults), // Print queries.
 
@@ -77,21 +613,90 @@ class SQLDriver {
       clientsActive  : 0,                            // Number of active clients.
       clientsMinimum : config.minConnections || 0,   // Minimum number of clients.
       clientsMaximum : config.maxConnections || 20,  // Maximum number of clients.
+      idleTimeout    : config.idleTimeout || 0,      // Idle time after which a pooled client is destroyed [ms].
+      maxLifetime    : config.maxLifetime || 0,      // Maximum age of a client [ms].
+      maxQueries     : config.maxQueriesPerConnection || 0, // Maximum number of queries of a client.
+      poolInterval   : config.maintenanceInterval || 1000,  // Interval of the pool maintenance [ms].
+      poolTimer      : null,                         // Timer that evicts and refills pooled clients.
+
+      validation     : config.validation || "none",  // Validation of pooled clients ("none", "checkout", "interval").
+      validationQuery: config.validationQuery || "SELECT 1", // Query used to validate a client.
+      pingTimeout    : config.validationTimeout || 5000,     // Timeout of the validation query [ms].
+      pingInterval   : config.validationInterval || 30000,   // Interval of validating idle clients [ms].
+
+      credentialsFn  : null,                         // Credentials provider, see `_refreshCredentials()`.
+      credentialsTtl : config.credentialsTtl || 0,   // How long to cache credentials [ms], 0 if not cached.
+      credentials    : null,                         // Cached credentials.
+      credentialsExpiry: 0,                          // Time when the cached credentials expire.
+      credentialsWaiting: null,                      // Callbacks waiting for the provider.
 
       failuresCount  : 0,                            // Count of failure attempts to create a client.
       failuresMaximum: config.maximumFailures || 20, // Maximum of failure attempts to create the first client.
+      retryDelay     : config.connectRetryDelay || 100,      // Initial delay between failed attempts [ms].
+      retryDelayMax  : config.connectRetryDelayMax || 10000, // Maximum delay between failed attempts [ms].
+      retryTimer     : null,                         // Timer of a delayed attempt to create a client.
+      onFailure      : config.onConnectionFailure || null, // Called after `failuresMaximum` is reached.
+      failedAt       : 0,                            // Time of the last connection failure.
+
+      replicas       : [],                           // Read replicas (drivers of the same engine).
+      primary        : null,                         // Primary driver if the driver is a read replica.
+      replicaIndex   : 0,                            // Next replica to use (round-robin).
+      replicaSelection: config.replicaSelection || "round-robin", // Replica selection ("round-robin", "least-busy").
+      replicaTimers  : [],                           // Timers of delayed attempts to start failed replicas.
+      replicaWaiting : [],                           // Callbacks waiting for replicas being started.
 
       clientPool     : null,                         // SQL client pool.
       queueFirst     : null,                         // First item in work queue (FIFO).
       queueLast      : null,                         // Last item in work queue (FIFO).
       queueSize      : 0,                            // Number of items in the queue.
+      queueMaximum   : config.maxQueueSize || 0,     // Maximum number of items in the queue, 0 if unlimited.
+      queueTimeout   : config.queueTimeout || 0,     // Maximum time an item waits in the queue [ms], 0 if unlimited.
+      queueTimer     : null,                         // Timer that fails items that waited too long.
+
+      statQueries    : 0,                            // Number of executed queries.
+      statErrors     : 0,                            // Number of failed queries.
+      statCommits    : 0,                            // Number of committed transactions.
+      statRollbacks  : 0,                            // Number of rolled back transactions.
+      queryTimes     : new SampleBuffer(config.statsSamples || 1024), // Recent query durations [ms].
+      waitTimes      : new SampleBuffer(config.statsSamples || 1024), // Recent waits for a client [ms].
 
       txIdGenerator  : 0,                            // Transaction ID counter.
+      isolatedTx     : null,                         // Transaction holding all work in test isolation mode.
+      isolatedUnit   : null,                         // Transaction of the work being done in test isolation mode.
+      isolatedQueue  : [],                           // Callbacks of `begin()` waiting for `isolatedUnit` to end.
+      txRetries      : config.transactionRetries != null ? config.transactionRetries : 3, // Number of retries of `transaction()`.
+      txRetryDelay   : config.transactionRetryDelay || 20,       // Initial delay of a retry [ms].
+      txRetryDelayMax: config.transactionRetryDelayMax || 1000,  // Maximum delay of a retry [ms].
       onClientQuery  : onClientQuery,                // Query handler callback.
       onClientCreated: onClientCreated,              // Client idle callback.
+      onQueueTimeout : onQueueTimeout,               // Queue timeout callback.
       onDelayedStop  : null                          // Delayed stop callback.
     };
 
+    // Credentials provider is either `config.credentials`, which returns an
+    // object having `username`, `password`, and optionally `expiresAt`, or
+    // `config.password`, which returns just the password.
+    if (typeof config.credentials === "function")
+      this._internal.credentialsFn = config.credentials;
+    else if (typeof config.password === "function")
+      this._internal.credentialsFn = wrapPasswordFn(config.password);
+
+    if (validationModes.indexOf(this._internal.validation) === -1)
+      throw new SQLError("Invalid validation mode '" + this._internal.validation + "'");
+
+    if (this._internal.replicaSelection !== "round-robin" && this._internal.replicaSelection !== "least-busy")
+      throw new SQLError("Invalid replica selection '" + this._internal.replicaSelection + "'");
+
+    // Each replica is a driver of the same engine having its own pool. It uses
+    // the primary's configuration, which is overridden by the replica's one.
+    if (config.replicas) {
+      for (var i = 0; i < config.replicas.length; i++) {
+        const replica = new this.constructor(app, getReplicaConfig(config, config.replicas[i]));
+        replica._internal.primary = this;
+        this._internal.replicas.push(replica);
+      }
+    }
+
     // Internal callbacks, bound only once to decrease the memory footprint.
     function onClientQuery(err, result) {
       self._onClientQuery(err, result);
@@ -100,6 +705,10 @@ class SQLDriver {
     function onClientCreated(err, client) {
       self._onClientCreated(err, client);
     }
+
+    function onQueueTimeout() {
+      self._onQueueTimeout();
+    }
   }
 
   /**
@@ -123,7 +732,7 @@ class SQLDriver {
           break;
 
         default:
-          throw SQLError("Unrecognized SQL compiler");
+          throw new SQLError("Unrecognized SQL compiler");
       }
     }
   }
@@ -133,17 +742,29 @@ class SQLDriver {
    *
    * Performs basic checks and calls `_start()`, which can be overridden by the driver.
    *
-   * @param {function} cb Start callback.
+   * @param {function} [cb] Start callback.
+   * @return {Promise|undefined} Promise if called without a callback.
    */
   start(cb) {
     const internal = this._internal;
 
+    if (typeof cb !== "function")
+      return callAsPromise(this.start.bind(this));
+
     if (internal.status !== "pending") {
       setImmediate(cb, new SQLError("The SQL driver has been already started (driver status: '" + internal.status + "')"), null);
       return;
     }
 
-    this._start(cb);
+    if (internal.replicas.length === 0)
+      return this._start(cb);
+
+    const self = this;
+    this._start(function(err) {
+      if (err)
+        return cb(err, null);
+      self._startReplicas(cb);
+    });
   }
 
   /**
@@ -153,20 +774,30 @@ class SQLDriver {
    * driver, after all operations finish execution. After `stop()` is called
    * the driver will refuse all future SQL requests, but completes all ongoing.
    *
-   * @param {function} cb Stop callback.
+   * @param {function} [cb] Stop callback.
+   * @return {Promise|undefined} Promise if called without a callback.
    */
   stop(cb) {
     const internal = this._internal;
 
+    if (typeof cb !== "function")
+      return callAsPromise(this.stop.bind(this));
+
     if (internal.status !== "running" || internal.onDelayedStop) {
       setImmediate(cb, new SQLError("The SQL driver has been already stopped (driver status: '" + internal.status + "')"), null);
       return;
     }
 
+    // The transaction held in test isolation mode would delay the stop forever.
+    if (internal.isolatedTx) {
+      const self = this;
+      return this.endIsolation(function() { self.stop(cb); });
+    }
+
     internal.status = "stopping";
 
     if (internal.clientsActive !== 0) {
-      internal._onDelayedStop = cb;
+      internal.onDelayedStop = cb;
     }
     else {
       // Can only stop if there are no active clients at the moment. Otherwise the
@@ -194,12 +825,76 @@ class SQLDriver {
     return this._internal.status;
   }
 
+  /**
+   * Returns the number of queries and transactions waiting in the queue for
+   * a client. It can be used to shed load before the queue becomes full.
+   *
+   * @return {number}
+   */
+  getQueueSize() {
+    return this._internal.queueSize;
+  }
+
+  /**
+   * Returns statistics of the driver. Durations are in milliseconds and their
+   * percentiles are calculated from the most recent samples (the number of
+   * samples is configured by `config.statsSamples`). Use `formatPrometheus()`
+   * to export the statistics in Prometheus text format.
+   *
+   * @return {object}
+   *   Statistics of the driver:
+   *     - `status` - Status of the driver, see `getStatus()`.
+   *     - `clients` - Clients `{ total, active, idle, minimum, maximum }`.
+   *     - `queue` - Queue `{ size, maximum }` (`maximum` is 0 if unlimited).
+   *     - `failures` - Number of consecutive failures to create a client.
+   *     - `queries` - Number of executed queries (including `BEGIN` and
+   *       `COMMIT` sent separately, but not validation queries).
+   *     - `errors` - Number of failed and timed out queries.
+   *     - `txCommitted` - Number of committed transactions.
+   *     - `txRolledBack` - Number of rolled back transactions (including
+   *       transactions that failed to commit).
+   *     - `queryTime` - Query durations `{ count, sum, p50, p90, p99, max }`.
+   *     - `waitTime` - Time spent waiting for a client, same as `queryTime`.
+   *     - `replicas` - Statistics of each read replica (in the order of
+   *       `config.replicas`), same as the primary's without `replicas`.
+   */
+  getStats() {
+    const internal = this._internal;
+
+    return {
+      status: internal.status,
+      clients: {
+        total  : internal.clientsCount,
+        active : internal.clientsActive,
+        idle   : internal.clientsCount - internal.clientsActive,
+        minimum: internal.clientsMinimum,
+        maximum: internal.clientsMaximum
+      },
+      queue: {
+        size   : internal.queueSize,
+        maximum: internal.queueMaximum
+      },
+      failures    : internal.failuresCount,
+      queries     : internal.statQueries,
+      errors      : internal.statErrors,
+      txCommitted : internal.statCommits,
+      txRolledBack: internal.statRollbacks,
+      queryTime   : internal.queryTimes.summarize(),
+      waitTime    : internal.waitTimes.summarize(),
+      replicas    : internal.replicas.map(function(replica) {
+        const stats = replica.getStats();
+        delete stats.replicas;
+        return stats;
+      })
+    };
+  }
+
   /**
    * Returns the SQL driver's dialect:
    *
    *   - `"mysql"` if the driver is `mysql`.
    *   - `"pgsql"` if the driver is `pg`.
-   *   - `"sqlite"` if the driver is `sqlite`.
+   *   - `"sqlite"` if the driver is `sqlite3`.
    *
    * @return {string}
    */
@@ -210,16 +905,69 @@ class SQLDriver {
   /**
    * Performs a SQL query.
    *
+   * Values are bound by the underlying SQL driver, the query has to use
+   * placeholders native to the engine (`$1..$n` in PostgreSQL, `?` in MySQL
+   * and SQLite). The `query(q, cb, tx)` and `query(q, options, cb)` signatures
+   * are also accepted.
+   *
    * @param {*} q Query string or a query-builder object.
-   * @param {function} cb Query callback.
-   * @param {object} [tx] Transaction.
+   * @param {array} [values] Values to bind to the query.
+   * @param {function} [cb] Query callback.
+   * @param {object} [options] Transaction (`SQLClient`) or query options:
+   *   - `tx` - Transaction.
+   *   - `timeout` - Query timeout in milliseconds, overrides `config.queryTimeout`.
+   *   - `name` - Name of a prepared statement. The query is prepared once by
+   *     each client and reused afterwards (PostgreSQL only, ignored by other
+   *     engines).
+   *   - `readOnly` - The query only reads, so it can be executed by a read
+   *     replica (if configured and healthy). Ignored if `tx` is given.
+   * @return {Promise|undefined} Promise if called without a callback.
    */
-  query(q, cb, tx) {
+  query(q, values, cb, options) {
+    const self = this;
     const internal = this._internal;
+
+    if (typeof values === "function") {
+      options = cb;
+      cb = values;
+      values = null;
+    }
+    else if (cb && typeof cb === "object") {
+      options = cb;
+      cb = null;
+    }
+
+    // Options (or a transaction) passed instead of values.
+    if (values && !Array.isArray(values)) {
+      options = values;
+      values = null;
+    }
+
+    if (!values)
+      values = null;
+
+    if (typeof cb !== "function")
+      return callAsPromise(function(cb) { self.query(q, values, cb, options); });
+
+    var tx = null;
+    if (options instanceof SQLClient) {
+      tx = options;
+      options = null;
+    }
+    else if (options) {
+      tx = options.tx || null;
+    }
+
+    if (!tx && options && options.readOnly && internal.replicas.length !== 0 && !internal.isolatedTx) {
+      const replica = this._selectReplica();
+      if (replica)
+        return this._queryReplica(replica, q, values, cb, options);
+    }
+
     const qs = internal.compiler.compile(q);
 
     if (tx)
-      return tx.query(qs, cb);
+      return tx.query(qs, values, cb, options);
 
     // Check whether the driver is running. It's an application failure if it
     // calls `query()` while the driver didn't start yet or after it started
@@ -229,10 +977,15 @@ class SQLDriver {
       return;
     }
 
-    if (internal.clientPool)
-      this._getClientFromPool().query(qs, cb);
+    if (internal.isolatedTx)
+      return this._queryIsolated(qs, values, cb, options);
+
+    if (internal.clientPool) {
+      internal.waitTimes.add(0);
+      this._runOnPooledClient(qs, values, options || null, cb);
+    }
     else
-      this._addToQueue(qs, cb);
+      this._addToQueue(qs, values, options || null, cb);
   }
 
   /**
@@ -241,11 +994,36 @@ class SQLDriver {
    * calling `commit()`, `rollback()`, or `cancel()`. See `SQLClient` for more
    * details.
    *
-   * @param {function} cb Called when the transaction object is ready.
+   * @param {object} [options] Transaction options:
+   *   - `isolation` - Isolation level ("read uncommitted", "read committed",
+   *     "repeatable read", or "serializable").
+   *   - `readOnly` - Whether the transaction is read-only.
+   *   - `deferrable` - Whether a serializable read-only transaction can be
+   *     deferred (PostgreSQL only).
+   * @param {function} [cb] Called when the transaction object is ready.
+   * @return {Promise|undefined} Promise if called without a callback.
    */
-  begin(cb) {
+  begin(options, cb) {
+    const self = this;
     const internal = this._internal;
 
+    if (typeof options === "function") {
+      cb = options;
+      options = null;
+    }
+
+    if (typeof cb !== "function")
+      return callAsPromise(function(cb) { self.begin(options, cb); });
+
+    // Invalid options are rejected before anything is sent to the server.
+    try {
+      options = this._normalizeTxOptions(options);
+    }
+    catch (err) {
+      setImmediate(cb, err, null);
+      return;
+    }
+
     // Check whether the driver is running. It's an application failure if it
     // calls `beginTransaction()` while the driver didn't start yet or after it
     // started shutting down. Since this is async we just pass the error to the
@@ -255,442 +1033,2587 @@ class SQLDriver {
       return;
     }
 
-    if (internal.clientPool)
-      this._getClientFromPool().begin(cb);
+    // Transaction options cannot be changed by a savepoint, so they are only
+    // validated in test isolation mode.
+    if (internal.isolatedTx)
+      return this._beginIsolated(cb);
+
+    if (internal.clientPool) {
+      internal.waitTimes.add(0);
+      this._runOnPooledClient(null, null, options, cb);
+    }
     else
-      this._addToQueue(null, cb);
+      this._addToQueue(null, null, options, cb);
   }
 
   /**
-   * Start callback.
+   * Performs a SQL query and returns a readable stream (in object mode) of its
+   * rows, which can be consumed by an async iterator as well (Node 10+). The
+   * rows are fetched in batches through a server-side cursor, so the whole
+   * result is never held in memory.
    *
-   * @param {function} cb Callback to call.
-   * @private
+   * The cursor requires a transaction. If `options.tx` is not given the stream
+   * begins its own, which holds the client until the stream ends (committed)
+   * or is destroyed (rolled back). Only engines that support `DECLARE` and
+   * `FETCH` (PostgreSQL) can stream.
+   *
+   * @param {*} q Query string or a query-builder object.
+   * @param {array} [values] Values to bind to the query.
+   * @param {object} [options] Transaction (`SQLClient`) or stream options:
+   *   - `tx` - Transaction to use.
+   *   - `batchSize` - Number of rows fetched at once (defaults to 100).
+   *   - `timeout` - Timeout of each fetch in milliseconds.
+   * @return {SQLStream}
    */
-  _start(cb) {
+  stream(q, values, options) {
     const internal = this._internal;
-    internal.status = "running";
-    setImmediate(cb, null);
-  }
 
-  /**
-   * Stop callback.
-   *
-   * @param {function} cb Callback to call.
-   * @private
-   */
-  _stop(cb) {
-    const internal = this._internal;
-    internal.status = "stopped";
-    internal.onDelayedStop = null;
-    setImmediate(cb, null);
+    if (values && !Array.isArray(values)) {
+      options = values;
+      values = null;
+    }
+
+    var tx = null;
+    if (options instanceof SQLClient) {
+      tx = options;
+      options = null;
+    }
+    else if (options) {
+      tx = options.tx || null;
+    }
+
+    const stream = new SQLStream(this, internal.compiler.compile(q), values || null, tx, options || null);
+
+    if (!internal.cursors) {
+      const err = new SQLError("Streaming is not supported by '" + internal.dialect + "' engine");
+      process.nextTick(function() { stream.destroy(err); });
+    }
+
+    return stream;
   }
 
   /**
-   * Adds a `query` to the internal queue to be handled later.
-   *
-   * NOTE: If the query is `null` it's a transaction, which is handled a bit
-   * differently.
+   * Runs `fn` inside a new transaction, which is committed if `fn` succeeds
+   * and rolled back if it fails. The transaction is retried with a backoff if
+   * it fails because of a serialization failure or a deadlock.
    *
-   * @param {*} qs Query to add to the queue (or `null` if it's a transaction).
-   * @param {function} cb Callback to call when the query can be executed.
+   * The function `fn` is either `fn(tx, done)`, which calls `done(err, result)`
+   * when finished, or `fn(tx)`, which returns a value or a promise. Since `fn`
+   * can be called more than once it should not have side effects outside of
+   * the transaction.
    *
-   * @private
+   * @param {function} fn Function to run inside the transaction.
+   * @param {object} [options] Transaction options, which are passed to `begin()`
+   *   as well:
+   *   - `retries` - Number of retries (defaults to `config.transactionRetries`).
+   *   - `retryDelay` - Initial delay between retries in milliseconds.
+   *   - `retryDelayMax` - Maximum delay between retries in milliseconds.
+   * @param {function} [cb] Called with the result of `fn`.
+   * @return {Promise|undefined} Promise if called without a callback.
    */
-  _addToQueue(qs, cb) {
+  transaction(fn, options, cb) {
+    const self = this;
     const internal = this._internal;
-    const last = internal.queueLast;
 
-    const item = {
-      qs: qs,
-      cb: cb,
-      next: null
-    };
+    if (typeof options === "function") {
+      cb = options;
+      options = null;
+    }
 
-    if (last !== null)
-      last.next = item;
-    else
-      internal.queueFirst = item;
+    if (!options)
+      options = {};
+
+    if (typeof cb !== "function")
+      return callAsPromise(function(cb) { self.transaction(fn, options, cb); });
+
+    const retries = options.retries != null ? options.retries : internal.txRetries;
+    const retryDelay = options.retryDelay || internal.txRetryDelay;
+    const retryDelayMax = options.retryDelayMax || internal.txRetryDelayMax;
+
+    var attempt = 0;
+    run();
+
+    function run() {
+      self.begin(options, function(err, tx) {
+        if (err)
+          return cb(err, null);
+
+        // The client is returned to the pool when the transaction ends, so the
+        // transaction id is used to check whether `fn` has ended it already.
+        // A nested transaction (savepoint) keeps the id, but not the depth.
+        const txId = tx._txId;
+        const txDepth = tx._txDepth;
+
+        function hasEnded() {
+          return tx._txId !== txId || tx._txDepth < txDepth;
+        }
+
+        callTransactionFn(fn, tx, function(err, result) {
+          if (err) {
+            if (hasEnded())
+              return retryOrFail(err);
+            return tx.rollback(function() { retryOrFail(err); });
+          }
+
+          if (hasEnded())
+            return cb(null, result);
+
+          tx.commit(function(err) {
+            if (err)
+              return retryOrFail(err);
+            cb(null, result);
+          });
+        });
+      });
+    }
 
-    internal.queueLast = item;
-    internal.queueSize++;
+    function retryOrFail(err) {
+      if (attempt >= retries || !isRetryableError(err))
+        return cb(err, null);
 
-    // Inform the driver that some work has been added to the queue.
-    this._scheduleWork();
+      // Exponential backoff with a jitter, so concurrent transactions that
+      // failed together don't collide again.
+      const delay = Math.min(retryDelay * Math.pow(2, attempt), retryDelayMax);
+      attempt++;
+
+      self.app.silly("[xpart.sql] Retrying transaction (attempt " + attempt + "): " + err.toString());
+      setTimeout(run, Math.round(delay * (0.5 + Math.random() * 0.5)));
+    }
   }
 
   /**
-   * Handle one item in the internal query queue. The caller has to check
-   * whether there is at least one item before calling `_handleQueue()`.
+   * Enters test isolation mode, which is intended for integration tests. The
+   * driver begins a transaction that holds one client and routes all work
+   * into it, so nothing is ever committed - `reset()` rolls it all back.
    *
-   * @param {SQLClient} client SQL client that will be used to handle the query
-   *   or transaction in the queue.
+   * Code that uses the driver doesn't have to be changed:
+   *   - `query()` runs inside its own savepoint, so a failed query doesn't
+   *     abort the held transaction.
+   *   - `begin()` and `transaction()` create a savepoint, which is released
+   *     by `commit()`. Transaction options are validated, but ignored.
+   *   - Read-only queries are not routed to read replicas as they would not
+   *     see the uncommitted data.
    *
-   * @private
+   * NOTE: All work is serialized on a single client - a query or a transaction
+   * waits until the previous transaction ends. Code that executes a query
+   * outside of its transaction (or begins another one) before ending it would
+   * deadlock, such work fails with `SQLTimeoutError` after `queueTimeout` (if
+   * configured).
+   *
+   * @param {function} [cb] Called when the transaction has begun.
+   * @return {Promise|undefined} Promise if called without a callback.
    */
-  _handleQueue(client) {
+  isolate(cb) {
+    const self = this;
     const internal = this._internal;
 
-    const item = internal.queueFirst;
-    const next = item.next;
-
-    if (next === null)
-      internal.queueLast = null;
+    if (typeof cb !== "function")
+      return callAsPromise(this.isolate.bind(this));
 
-    internal.queueFirst = next;
-    internal.queueSize--;
+    if (internal.isolatedTx) {
+      setImmediate(cb, new SQLError("The SQL driver is already in test isolation mode"), null);
+      return;
+    }
 
-    const qs = item.qs;
-    const cb = item.cb;
+    // The transaction begins lazily together with the first savepoint.
+    this.begin(function(err, tx) {
+      if (err)
+        return cb(err, null);
 
-    if (qs !== null)
-      client.query(qs, cb);
-    else
-      client.begin(cb);
+      internal.isolatedTx = tx;
+      self.app.silly("[xpart.sql] Entered test isolation mode");
+      cb(null, null);
+    });
   }
 
   /**
-   * Puts the driver into an idle state. Idle state means that there are no
-   * more items in the internal queue and there are no active SQL clients.
+   * Rolls back all work done in test isolation mode since `isolate()` or the
+   * previous `reset()` and begins a new transaction to continue in the mode.
    *
-   * Idle is called mostly to gratefully stop the SQL driver when no more
-   * requests are pending. It has generally no effect on a running application.
+   * @param {function} [cb] Called when the new transaction has begun.
+   * @return {Promise|undefined} Promise if called without a callback.
+   */
+  reset(cb) {
+    const self = this;
+
+    if (typeof cb !== "function")
+      return callAsPromise(this.reset.bind(this));
+
+    this.endIsolation(function(err) {
+      if (err)
+        return cb(err, null);
+      self.isolate(cb);
+    });
+  }
+
+  /**
+   * Rolls back all work done in test isolation mode and leaves the mode.
    *
-   * @private
+   * @param {function} [cb] Called when the transaction has been rolled back.
+   * @return {Promise|undefined} Promise if called without a callback.
    */
-  _idle() {
+  endIsolation(cb) {
     const internal = this._internal;
+    const tx = internal.isolatedTx;
 
-    // If the driver is stopping and idle it's the right time to gratefully
-    // stop the module by calling `_stop()`. Could be delayed stop as well.
-    if (internal.clientsActive === 0 && internal.status === "stopping") {
-      this._destroyPool();
-      this._stop(internal.onDelayedStop);
+    if (typeof cb !== "function")
+      return callAsPromise(this.endIsolation.bind(this));
+
+    if (!tx) {
+      setImmediate(cb, new SQLError("The SQL driver is not in test isolation mode"), null);
+      return;
     }
+
+    // Savepoints left by an unfinished transaction are discarded together
+    // with the held transaction, which makes the unfinished one unusable.
+    // Work waiting for it fails as it would run outside of the mode.
+    const unit = internal.isolatedUnit;
+    const queue = internal.isolatedQueue;
+
+    internal.isolatedTx = null;
+    internal.isolatedUnit = null;
+    internal.isolatedQueue = [];
+
+    if (unit)
+      unit._end();
+
+    for (var i = 0; i < queue.length; i++)
+      setImmediate(queue[i], new SQLError("The SQL driver has left test isolation mode"), null);
+
+    tx.rollback(function(err) {
+      cb(err || null, null);
+    });
   }
 
   /**
-   * Checks whether the work queue is not empty and assigns a client to the
-   * first item in the queue. It will try to create a new client if the
-   * number of created clients didn't exceed the limit. Called after the work
-   * has been added to the queue or after a client failed to instantiate.
+   * Start callback.
    *
+   * @param {function} cb Callback to call.
    * @private
    */
-  _scheduleWork() {
+  _start(cb) {
+    const self = this;
     const internal = this._internal;
+    const count = internal.clientsMinimum;
 
-    if (internal.queueFirst) {
-      if (internal.clientPool) {
-        this._handleQueue(this._getClientFromPool());
+    if (count === 0) {
+      internal.status = "running";
+      this._startMaintenance();
+      setImmediate(cb, null);
+      return;
+    }
+
+    // Warm up the pool by creating the minimum number of clients. The driver
+    // fails to start if any of them cannot be created.
+    const clients = [];
+    var remaining = count;
+    var error = null;
+
+    internal.status = "starting";
+    internal.clientsCount += count;
+
+    for (var i = 0; i < count; i++)
+      this._newClient(onClientCreated);
+
+    function onClientCreated(err, client) {
+      if (client)
+        clients.push(client);
+      else
+        error = error || err;
+
+      if (--remaining !== 0)
         return;
-      }
 
-      // Create a new client if the number of clients didn't exceed the limit.
-      if (internal.clientsCount < internal.clientsMaximum) {
-        internal.clientsCount++;
-        this._createClient(internal.onClientCreated);
+      if (error) {
+        for (var i = 0; i < clients.length; i++)
+          self._destroyClient(clients[i]);
+
+        internal.clientsCount -= count;
+        internal.status = "pending";
+        return cb(error);
       }
+
+      for (var i = 0; i < clients.length; i++)
+        self._poolClient(clients[i]);
+
+      internal.status = "running";
+      self._startMaintenance();
+      cb(null);
     }
   }
 
   /**
-   * Called after a new `client` has been created.
-   *
-   * @param {?Error} err Error that happened when creating the SQLClient.
-   * @param {?SQLClient} client A new SQLClient instance.
+   * Stop callback.
    *
+   * @param {function} cb Callback to call.
    * @private
    */
-  _onClientCreated(err, client) {
+  _stop(cb) {
     const internal = this._internal;
+    internal.status = "stopped";
+    internal.onDelayedStop = null;
 
-    if (client) {
-      internal.clientsActive++;
-      return this._onClientIdle(client);
+    if (internal.poolTimer) {
+      clearInterval(internal.poolTimer);
+      internal.poolTimer = null;
     }
 
-    this.app.error("Failed to create a new SQLClient: ", err.toString());
+    if (internal.retryTimer) {
+      clearTimeout(internal.retryTimer);
+      internal.retryTimer = null;
+    }
 
-    // The driver increments `clientCount` before it calls `_CreateClient()`,
-    // to ensure that it doesn't create more clients than `clientsMaximum`.
-    // If the driver failed to create the client it has to be decremented as
-    // well, otherwise it will end up in an inconsistent state.
-    internal.clientsCount--;
-    internal.failuresCount++;
+    // Queued work would never be handled at this point.
+    if (internal.queueFirst)
+      this._failQueue(new SQLError("The SQL driver has been stopped"));
 
-    // If the driver failed to create the first client there is probably
-    // some problem with configuration or infrastructure. The driver will
-    // keep trying up to `failuresMaximum` attempts, after that it will
-    // report the error and call the failure handler.
-    if (internal.clientsCount === 0) {
-      if (internal.failuresCount >= internal.failuresMaximum) {
-        // TODO:
-      }
-      else {
-        this._scheduleWork();
+    const timers = internal.replicaTimers;
+    for (var i = 0; i < timers.length; i++) {
+      if (timers[i]) {
+        clearTimeout(timers[i]);
+        timers[i] = null;
       }
     }
+
+    this._stopReplicas(function() { setImmediate(cb, null); });
   }
 
   /**
-   * Called when a `client` became idle.
-   *
-   * The given client will handle the next item in the internal queue or will
-   * go idle.
-   *
-   * @param {SQLClient} client SQL client that can go idle.
+   * Starts all read replicas. A replica that failed to start is not used, but
+   * it doesn't prevent the driver from starting as reads can be handled by
+   * the primary. Its start is retried later, see `_retryReplica()`.
    *
    * @private
    */
-  _onClientIdle(client) {
-    const internal = this._internal;
-
-    if (internal.queueFirst)
-      this._handleQueue(client);
-    else
-      this._releaseClient(client);
+  _startReplicas(cb) {
+    const self = this;
+    const replicas = this._internal.replicas;
+
+    var remaining = replicas.length;
+    replicas.forEach(function(replica, index) {
+      self._startReplica(index, function(err) {
+        if (err) {
+          self.app.error("[xpart.sql] Failed to start a read replica: " + err.toString());
+          self._retryReplica(index, self._internal.retryDelay);
+        }
+
+        if (--remaining === 0)
+          cb(null, null);
+      });
+    });
   }
 
   /**
-   * Called to get a SQL client from the pool. It does the necessary work
-   * to unlink the client from the pool and to update internal counters.
-   *
-   * NOTE: There must be a client in the pool, check `internal.clientPool`
-   * before calling this function.
+   * Retries to start a read replica at `index` that failed to start after
+   * `delay`, which is doubled after each failed attempt up to `retryDelayMax`.
    *
    * @private
    */
-  _getClientFromPool() {
+  _retryReplica(index, delay) {
+    const self = this;
     const internal = this._internal;
-    const client = internal.clientPool;
 
-    internal.clientPool = client._next;
-    internal.clientsActive++;
+    internal.replicaTimers[index] = setTimeout(function() {
+      internal.replicaTimers[index] = null;
+      if (internal.status !== "running")
+        return;
 
-    client._pooled = false;
-    client._next = null;
+      self._startReplica(index, function(err) {
+        if (!err)
+          return;
 
-    return client;
+        self.app.error("[xpart.sql] Failed to start a read replica: " + err.toString());
+        if (internal.status === "running")
+          self._retryReplica(index, Math.min(delay * 2, internal.retryDelayMax));
+      });
+    }, delay);
   }
 
   /**
-   * Releases the SQL client to the client pool or destroys it.
-   *
-   * @param {SQLClient} client SQL client to release or destroy.
+   * Starts a read replica at `index` and calls `cb`. Callbacks waiting for the
+   * replica to start (see `_stopReplicas()`) are called afterwards.
    *
    * @private
    */
-  _releaseClient(client) {
+  _startReplica(index, cb) {
     const internal = this._internal;
-    const keep = internal.status === "running" && !client._failed;
-
-    if (!keep) {
-      // OOOPS! If the client failed or is in an inconsistent state it's
-      // always better to just destroy it and create a new one later. This
-      // is recommended by the most DB drivers anyway. Also, if we are
-      // shutting down we don't pool released clients as well.
-      internal.clientsCount--;
-      internal.clientsActive--;
-
-      this._destroyClient(client);
-    }
-    else {
-      client._next = internal.clientPool;
-      client._txId = -1;
-      client._txState = "";
-      client._pooled = true;
-      client._returnToPool = true;
+    const waiting = internal.replicaWaiting[index] = [];
 
-      internal.clientsActive--;
-      internal.clientPool = client;
-    }
+    internal.replicas[index].start(function(err) {
+      internal.replicaWaiting[index] = null;
+      cb(err);
 
-    this._idle();
+      for (var i = 0; i < waiting.length; i++)
+        waiting[i]();
+    });
   }
 
   /**
-   * Releases all idle clients waiting in the client-pool.
+   * Stops all running read replicas. A replica being started is stopped after
+   * its start finishes.
    *
    * @private
    */
-  _destroyPool() {
+  _stopReplicas(cb) {
     const internal = this._internal;
+    var remaining = 1;
 
-    var client = internal.clientPool;
-    var n = 0;
-
-    while (client) {
-      var next = client._next;
-      this._destroyClient(client);
+    function stopReplica(replica) {
+      if (replica.getStatus() !== "running")
+        return onStopped();
+      replica.stop(onStopped);
+    }
 
-      client = next;
-      n++;
+    function onStopped() {
+      if (--remaining === 0)
+        cb();
     }
 
-    internal.clientsCount -= n;
-    internal.clientsActive -= n;
-    internal.clientPool = null;
+    internal.replicas.forEach(function(replica, index) {
+      const waiting = internal.replicaWaiting[index];
+
+      if (waiting) {
+        remaining++;
+        waiting.push(function() { stopReplica(replica); });
+      }
+      else if (replica.getStatus() === "running") {
+        remaining++;
+        stopReplica(replica);
+      }
+    });
+
+    onStopped();
   }
 
   /**
-   * Generates a unique transaction-id.
+   * Returns whether the driver can be used to execute queries. A driver that
+   * failed to connect recently is considered unhealthy until it connects or
+   * `retryDelayMax` elapses.
    *
    * @private
    */
-  _newTxId() {
+  _isHealthy() {
     const internal = this._internal;
-    return ++internal.txIdGenerator;
+
+    if (internal.status !== "running")
+      return false;
+
+    return internal.clientsCount !== 0 ||
+           (internal.failuresCount === 0 && Date.now() - internal.failedAt >= internal.retryDelayMax);
   }
 
   /**
-   * Gets the URI of the server to connect to based on the configuration passed
-   * to the `SQLServer()` constructor. Some implementations (SQLite) will never
-   * call `_getServerURL()` as they use a local file system.
+   * Selects a healthy read replica based on `replicaSelection`, returns `null`
+   * if all replicas are unhealthy.
    *
    * @private
    */
-  _getServerURL() {
-    throw new TypeError("SQLDriver._getServerURL() is abstract");
+  _selectReplica() {
+    const internal = this._internal;
+    const replicas = internal.replicas;
+    const count = replicas.length;
+
+    if (internal.replicaSelection === "least-busy") {
+      var best = null;
+      var bestLoad = 0;
+
+      for (var i = 0; i < count; i++) {
+        const replica = replicas[i];
+        if (!replica._isHealthy())
+          continue;
+
+        const load = replica._internal.clientsActive + replica._internal.queueSize;
+        if (best === null || load < bestLoad) {
+          best = replica;
+          bestLoad = load;
+        }
+      }
+
+      return best;
+    }
+
+    for (var j = 0; j < count; j++) {
+      const replica = replicas[internal.replicaIndex];
+      internal.replicaIndex = (internal.replicaIndex + 1) % count;
+
+      if (replica._isHealthy())
+        return replica;
+    }
+
+    return null;
   }
 
   /**
-   * Creates a new SQL client.
+   * Executes a query in test isolation mode inside its own savepoint, which
+   * is rolled back if the query fails, see `isolate()`.
    *
    * @private
    */
-  _createClient(cb) {
-    throw new TypeError("SQLDriver._createClient() is abstract");
+  _queryIsolated(qs, values, cb, options) {
+    this._beginIsolated(function(err, tx) {
+      if (err)
+        return cb(err, null);
+
+      tx.query(qs, values, function(err, result) {
+        if (err)
+          return tx.rollback(function() { cb(err, null); });
+
+        tx.commit(function(err) {
+          cb(err || null, err ? null : result);
+        });
+      }, options);
+    });
   }
 
   /**
-   * Destroys the SQL client.
+   * Begins a transaction in test isolation mode (see `SQLIsolatedClient`)
+   * after the current one ends. Work that waits longer than `queueTimeout`
+   * fails, as it most likely waits for a transaction that cannot end before
+   * the work finishes.
    *
    * @private
    */
-  _destroyClient(client) {
-    throw new TypeError("SQLDriver._destroyClient() is abstract");
-  }
-}
-exports.SQLDriver = SQLDriver;
-
-// ============================================================================
-// [SQLClient]
-// ============================================================================
+  _beginIsolated(cb) {
+    const self = this;
+    const internal = this._internal;
 
-/**
- * A wrapper around a native SQL client / connection, used by `SQLDriver`.
- */
-class SQLClient {
-  constructor(driver, impl) {
-    this._driver = driver;     // SQL driver (owner).
-    this._impl = impl;         // SQL client (implementation).
-    this._next = null;         // Next client in the client pool.
+    if (internal.isolatedUnit !== null) {
+      if (!internal.queueTimeout) {
+        internal.isolatedQueue.push(cb);
+        return;
+      }
 
-    this._txId = -1;           // Transaction ID, -1 if not transacting.
-    this._txState = "";        // Transaction state (internal to SQLClient).
+      const queue = internal.isolatedQueue;
+      const waiting = function(err, tx) {
+        clearTimeout(timer);
+        cb(err, tx);
+      };
 
-    this._failed = false;      // True if the client failed a transaction.
-    this._pooled = false;      // True if the client is in the client pool now.
-    this._returnToPool = true; // Return to the connection pool after query.
+      var timer = setTimeout(function() {
+        const index = queue.indexOf(waiting);
+        if (index === -1)
+          return;
 
-    this._qs = "";             // Query string (stored for better error reports).
-    this._cb = null;           // Query callback (if performing query now).
-    this._onQuery = null;      // Query handler, has to be implemented by the driver.
-  }
+        queue.splice(index, 1);
+        cb(new SQLTimeoutError("Timed out waiting for the current transaction in test isolation mode to end (queue timeout: " + internal.queueTimeout + " ms)"), null);
+      }, internal.queueTimeout);
 
-  begin(cb) {
+      queue.push(waiting);
+      return;
+    }
+
+    const tx = new SQLIsolatedClient(this, internal.isolatedTx);
+    internal.isolatedUnit = tx;
+
+    tx._onEnd = function() {
+      if (internal.isolatedUnit !== tx)
+        return;
+
+      internal.isolatedUnit = null;
+      if (internal.isolatedQueue.length !== 0)
+        self._beginIsolated(internal.isolatedQueue.shift());
+    };
+
+    tx._beginSavepoint(function(err) {
+      if (err) {
+        tx._end();
+        return cb(err, null);
+      }
+
+      cb(null, tx);
+    });
+  }
+
+  /**
+   * Executes a read-only query by a `replica`. The query is executed by the
+   * primary if the replica couldn't execute it, see `isReplicaFallbackError()`.
+   *
+   * @private
+   */
+  _queryReplica(replica, q, values, cb, options) {
+    const self = this;
+    const replicaOptions = {
+      timeout: options.timeout,
+      name: options.name
+    };
+
+    replica.query(q, values, function(err, result) {
+      if (err && isReplicaFallbackError(err) && self._internal.status === "running")
+        return self.query(q, values, cb, replicaOptions);
+
+      cb(err, result);
+    }, replicaOptions);
+  }
+
+  /**
+   * Adds a `query` to the internal queue to be handled later.
+   *
+   * NOTE: If the query is `null` it's a transaction, which is handled a bit
+   * differently.
+   *
+   * @param {*} qs Query to add to the queue (or `null` if it's a transaction).
+   * @param {?array} values Values to bind to the query.
+   * @param {?object} options Query or transaction options.
+   * @param {function} cb Callback to call when the query can be executed.
+   *
+   * @private
+   */
+  _addToQueue(qs, values, options, cb) {
+    const internal = this._internal;
+    const last = internal.queueLast;
+
+    // Reject the work immediately if the queue is full, waiting would only
+    // make the load worse.
+    if (internal.queueMaximum && internal.queueSize >= internal.queueMaximum) {
+      setImmediate(cb, new SQLQueueFullError("The SQL driver's queue is full (queue size: " + internal.queueSize + ")"), null);
+      return;
+    }
+
+    const item = {
+      qs: qs,
+      values: values,
+      options: options,
+      cb: cb,
+      queuedAt: Date.now(),
+      deadline: internal.queueTimeout ? Date.now() + internal.queueTimeout : 0,
+      next: null
+    };
+
+    if (last !== null)
+      last.next = item;
+    else
+      internal.queueFirst = item;
+
+    // All items have the same timeout so they expire in FIFO order, only the
+    // first item needs a timer.
+    if (item.deadline && !internal.queueTimer)
+      internal.queueTimer = setTimeout(internal.onQueueTimeout, internal.queueFirst.deadline - Date.now());
+
+    internal.queueLast = item;
+    internal.queueSize++;
+
+    // Inform the driver that some work has been added to the queue.
+    this._scheduleWork();
+  }
+
+  /**
+   * Runs a query (or begins a transaction if `qs` is `null`) on a client taken
+   * from the pool, there must be a client in the pool. In "checkout" mode the
+   * client is validated first. If the validation fails the next pooled client
+   * is tried, the work is added to the queue only if the pool is empty.
+   *
+   * @private
+   */
+  _runOnPooledClient(qs, values, options, cb) {
+    const self = this;
+    const internal = this._internal;
+    const client = this._getClientFromPool();
+
+    if (internal.validation !== "checkout")
+      return run(client);
+
+    this._validateClient(client, function(valid) {
+      if (valid)
+        return run(client);
+
+      if (internal.status !== "running")
+        return cb(new SQLError("The SQL driver cannot perform the query (driver status: '" + internal.status + "')"), null);
+
+      if (internal.clientPool)
+        self._runOnPooledClient(qs, values, options, cb);
+      else
+        self._addToQueue(qs, values, options, cb);
+    });
+
+    function run(client) {
+      if (qs !== null)
+        client.query(qs, values, cb, options);
+      else
+        client.begin(options, cb);
+    }
+  }
+
+  /**
+   * Fails all items in the internal queue with `err`.
+   *
+   * @param {Error} err Error passed to callbacks of all queued items.
+   *
+   * @private
+   */
+  _failQueue(err) {
+    const internal = this._internal;
+    var item = internal.queueFirst;
+
+    internal.queueFirst = null;
+    internal.queueLast = null;
+    internal.queueSize = 0;
+
+    if (internal.queueTimer) {
+      clearTimeout(internal.queueTimer);
+      internal.queueTimer = null;
+    }
+
+    // Callbacks are called asynchronously, so a callback that throws cannot
+    // prevent the remaining ones from being called.
+    while (item) {
+      setImmediate(item.cb, err, null);
+      item = item.next;
+    }
+  }
+
+  /**
+   * Called by the queue timer. Fails all items that waited in the queue longer
+   * than `queueTimeout` and rearms the timer for the next item.
+   *
+   * @private
+   */
+  _onQueueTimeout() {
+    const internal = this._internal;
+    const now = Date.now();
+
+    internal.queueTimer = null;
+
+    var item = internal.queueFirst;
+    while (item && item.deadline <= now) {
+      const next = item.next;
+
+      internal.queueFirst = next;
+      internal.queueSize--;
+
+      if (next === null)
+        internal.queueLast = null;
+
+      const err = new SQLTimeoutError("Timed out waiting for a SQL client (queue timeout: " + internal.queueTimeout + " ms)");
+      err.queued = true;
+
+      setImmediate(item.cb, err, null);
+      item = next;
+    }
+
+    if (item)
+      internal.queueTimer = setTimeout(internal.onQueueTimeout, item.deadline - now);
+  }
+
+  /**
+   * Handle one item in the internal query queue. The caller has to check
+   * whether there is at least one item before calling `_handleQueue()`.
+   *
+   * @param {SQLClient} client SQL client that will be used to handle the query
+   *   or transaction in the queue.
+   *
+   * @private
+   */
+  _handleQueue(client) {
+    const internal = this._internal;
+
+    const item = internal.queueFirst;
+    const next = item.next;
+
+    if (next === null) {
+      internal.queueLast = null;
+
+      if (internal.queueTimer) {
+        clearTimeout(internal.queueTimer);
+        internal.queueTimer = null;
+      }
+    }
+
+    internal.queueFirst = next;
+    internal.queueSize--;
+
+    const qs = item.qs;
+    const cb = item.cb;
+
+    internal.waitTimes.add(Date.now() - item.queuedAt);
+
+    if (qs !== null)
+      client.query(qs, item.values, cb, item.options);
+    else
+      client.begin(item.options, cb);
+  }
+
+  /**
+   * Puts the driver into an idle state. Idle state means that there are no
+   * more items in the internal queue and there are no active SQL clients.
+   *
+   * Idle is called mostly to gratefully stop the SQL driver when no more
+   * requests are pending. It has generally no effect on a running application.
+   *
+   * @private
+   */
+  _idle() {
+    const internal = this._internal;
+
+    // If the driver is stopping and idle it's the right time to gratefully
+    // stop the module by calling `_stop()`. Could be delayed stop as well.
+    if (internal.clientsActive === 0 && internal.status === "stopping") {
+      this._destroyPool();
+      this._stop(internal.onDelayedStop);
+    }
+  }
+
+  /**
+   * Checks whether the work queue is not empty and assigns a client to the
+   * first item in the queue. It will try to create a new client if the
+   * number of created clients didn't exceed the limit. Called after the work
+   * has been added to the queue or after a client failed to instantiate.
+   *
+   * @private
+   */
+  _scheduleWork() {
+    const internal = this._internal;
+
+    if (internal.queueFirst) {
+      if (internal.clientPool) {
+        const client = this._getClientFromPool();
+
+        if (internal.validation === "checkout")
+          this._validateClient(client);
+        else
+          this._handleQueue(client);
+        return;
+      }
+
+      // Create a new client if the number of clients didn't exceed the limit
+      // and the driver is not waiting before the next attempt to create one.
+      if (internal.clientsCount < internal.clientsMaximum && !internal.retryTimer) {
+        internal.clientsCount++;
+        this._newClient(internal.onClientCreated);
+      }
+    }
+  }
+
+  /**
+   * Called after a new `client` has been created.
+   *
+   * @param {?Error} err Error that happened when creating the SQLClient.
+   * @param {?SQLClient} client A new SQLClient instance.
+   *
+   * @private
+   */
+  _onClientCreated(err, client) {
+    const internal = this._internal;
+
+    if (client) {
+      internal.clientsActive++;
+      internal.failuresCount = 0;
+      return this._onClientIdle(client);
+    }
+
+    this.app.error("[xpart.sql] Failed to create a new SQLClient: ", err.toString());
+
+    // The driver increments `clientCount` before it calls `_CreateClient()`,
+    // to ensure that it doesn't create more clients than `clientsMaximum`.
+    // If the driver failed to create the client it has to be decremented as
+    // well, otherwise it will end up in an inconsistent state.
+    internal.clientsCount--;
+    internal.failuresCount++;
+
+    // If the driver failed to create the first client there is probably
+    // some problem with configuration or infrastructure. The driver will
+    // keep trying up to `failuresMaximum` attempts, after that it will
+    // report the error and call the failure handler. A read replica doesn't
+    // keep reads waiting, they are moved to the primary immediately and the
+    // replica is unhealthy until `retryDelayMax` elapses.
+    if (internal.clientsCount === 0) {
+      if (internal.failuresCount >= internal.failuresMaximum || internal.primary !== null)
+        this._onConnectionFailure(err);
+      else
+        this._scheduleRetry();
+    }
+  }
+
+  /**
+   * Schedules the next attempt to create a client after a failed one. The
+   * delay grows exponentially with the number of failures up to `retryDelayMax`.
+   *
+   * @private
+   */
+  _scheduleRetry() {
+    const self = this;
+    const internal = this._internal;
+
+    if (internal.retryTimer)
+      return;
+
+    const delay = Math.min(internal.retryDelay * Math.pow(2, internal.failuresCount - 1), internal.retryDelayMax);
+    internal.retryTimer = setTimeout(function() {
+      internal.retryTimer = null;
+      self._scheduleWork();
+    }, delay);
+  }
+
+  /**
+   * Called when the driver failed to create a client `failuresMaximum` times in
+   * a row. Fails all queued work and calls `config.onConnectionFailure(err, driver)`
+   * so the application can decide whether to keep running in a degraded mode
+   * or to shut down. The failure counter is reset, so the driver will try to
+   * connect again when new work arrives.
+   *
+   * @param {Error} err The last error returned by `_createClient()`.
+   *
+   * @private
+   */
+  _onConnectionFailure(err) {
+    const internal = this._internal;
+    const failures = internal.failuresCount;
+
+    const error = new SQLConnectionError("Failed to connect to the SQL server after " + failures + " attempts: " + err.toString(), {
+      code   : "08001",
+      dialect: internal.dialect,
+      cause  : err
+    });
+
+    internal.failuresCount = 0;
+    internal.failedAt = Date.now();
+    this._failQueue(error);
+
+    if (internal.onFailure)
+      internal.onFailure(error, this);
+    else
+      this.app.error("[xpart.sql] " + error.message);
+  }
+
+  /**
+   * Called when a `client` became idle.
+   *
+   * The given client will handle the next item in the internal queue or will
+   * go idle.
+   *
+   * @param {SQLClient} client SQL client that can go idle.
+   *
+   * @private
+   */
+  _onClientIdle(client) {
+    const internal = this._internal;
+
+    // The client could have been used by a transaction.
+    client._txId = -1;
+    client._txState = "";
+    client._txDepth = 0;
+    client._txOptions = null;
+    client._returnToPool = true;
+
+    if (internal.queueFirst && !this._mustDestroyClient(client, Date.now()))
+      this._handleQueue(client);
+    else
+      this._releaseClient(client);
+  }
+
+  /**
+   * Called to get a SQL client from the pool. It does the necessary work
+   * to unlink the client from the pool and to update internal counters.
+   *
+   * NOTE: There must be a client in the pool, check `internal.clientPool`
+   * before calling this function.
+   *
+   * @private
+   */
+  _getClientFromPool() {
+    const internal = this._internal;
+    const client = internal.clientPool;
+
+    internal.clientPool = client._next;
+    internal.clientsActive++;
+
+    client._pooled = false;
+    client._next = null;
+
+    return client;
+  }
+
+  /**
+   * Releases the SQL client to the client pool or destroys it.
+   *
+   * @param {SQLClient} client SQL client to release or destroy.
+   *
+   * @private
+   */
+  _releaseClient(client) {
+    const internal = this._internal;
+    const keep = internal.status === "running" && !this._mustDestroyClient(client, Date.now());
+
+    internal.clientsActive--;
+
+    if (!keep) {
+      // OOOPS! If the client failed or is in an inconsistent state it's
+      // always better to just destroy it and create a new one later. This
+      // is recommended by the most DB drivers anyway. Also, if we are
+      // shutting down we don't pool released clients as well. Clients that
+      // reached their maximum lifetime are destroyed here as well.
+      internal.clientsCount--;
+      this._destroyClient(client);
+
+      // Replace the client if there is work waiting or the pool is too small.
+      this._scheduleWork();
+      this._ensureMinimum();
+    }
+    else {
+      this._poolClient(client);
+    }
+
+    this._idle();
+  }
+
+  /**
+   * Puts an idle `client` into the client pool.
+   *
+   * @private
+   */
+  _poolClient(client) {
+    const internal = this._internal;
+
+    client._next = internal.clientPool;
+    client._pooled = true;
+    client._idleSince = Date.now();
+
+    internal.clientPool = client;
+  }
+
+  /**
+   * Called by the driver implementation when a `client` lost its connection
+   * outside of a query. A pooled client is removed from the pool and destroyed
+   * immediately, an active client is destroyed when it's released.
+   *
+   * @param {SQLClient} client Client that lost its connection.
+   *
+   * @private
+   */
+  _onClientLost(client) {
+    const internal = this._internal;
+    client._failed = true;
+
+    if (!client._pooled)
+      return;
+
+    var prev = null;
+    var current = internal.clientPool;
+
+    while (current !== null && current !== client) {
+      prev = current;
+      current = current._next;
+    }
+
+    if (current === null)
+      return;
+
+    if (prev)
+      prev._next = client._next;
+    else
+      internal.clientPool = client._next;
+
+    client._pooled = false;
+    client._next = null;
+
+    internal.clientsCount--;
+    this._destroyClient(client);
+    this._ensureMinimum();
+  }
+
+  /**
+   * Returns whether the `client` must be destroyed instead of being reused,
+   * because it failed or reached its maximum lifetime or number of queries.
+   *
+   * @private
+   */
+  _mustDestroyClient(client, now) {
+    const internal = this._internal;
+
+    return client._failed ||
+           (internal.maxLifetime !== 0 && now - client._createdAt >= internal.maxLifetime) ||
+           (internal.maxQueries !== 0 && client._queryCount >= internal.maxQueries);
+  }
+
+  /**
+   * Creates new clients if the number of clients is lower than the minimum.
+   *
+   * @private
+   */
+  _ensureMinimum() {
+    const internal = this._internal;
+
+    if (internal.status !== "running" || internal.retryTimer)
+      return;
+
+    while (internal.clientsCount < internal.clientsMinimum) {
+      internal.clientsCount++;
+      this._newClient(internal.onClientCreated);
+    }
+  }
+
+  /**
+   * Starts the maintenance timer if the pool needs maintenance.
+   *
+   * @private
+   */
+  _startMaintenance() {
+    const self = this;
+    const internal = this._internal;
+
+    if (!internal.idleTimeout && !internal.maxLifetime && !internal.clientsMinimum && internal.validation !== "interval")
+      return;
+
+    internal.poolTimer = setInterval(function() {
+      self._maintainPool();
+    }, internal.poolInterval);
+
+    // Don't keep the process running just because of the pool maintenance.
+    if (internal.poolTimer.unref)
+      internal.poolTimer.unref();
+  }
+
+  /**
+   * Destroys pooled clients that are idle longer than `idleTimeout` (keeping
+   * at least `clientsMinimum` clients) or that reached their maximum lifetime,
+   * and refills the pool to the minimum number of clients. If the validation
+   * mode is "interval" it also validates clients that were idle longer than
+   * `validationInterval`.
+   *
+   * @private
+   */
+  _maintainPool() {
+    const internal = this._internal;
+    const now = Date.now();
+    const validate = internal.validation === "interval";
+
+    var prev = null;
+    var client = internal.clientPool;
+    var toValidate = null;
+
+    while (client) {
+      const next = client._next;
+      const evict = this._mustDestroyClient(client, now) ||
+                    (internal.idleTimeout !== 0 &&
+                     now - client._idleSince >= internal.idleTimeout &&
+                     internal.clientsCount > internal.clientsMinimum);
+      const ping = !evict && validate &&
+                   now - Math.max(client._idleSince, client._validatedAt) >= internal.pingInterval;
+
+      if (evict || ping) {
+        if (prev)
+          prev._next = next;
+        else
+          internal.clientPool = next;
+
+        client._pooled = false;
+        client._next = null;
+
+        if (evict) {
+          internal.clientsCount--;
+          this._destroyClient(client);
+        }
+        else {
+          // The client is active until the validation finishes.
+          internal.clientsActive++;
+          if (toValidate === null)
+            toValidate = [client];
+          else
+            toValidate.push(client);
+        }
+      }
+      else {
+        prev = client;
+      }
+
+      client = next;
+    }
+
+    if (toValidate !== null) {
+      for (var i = 0; i < toValidate.length; i++)
+        this._validateClient(toValidate[i]);
+    }
+
+    this._ensureMinimum();
+  }
+
+  /**
+   * Validates an active `client` by executing the validation query. A valid
+   * client is passed to `onDone(true)` if given, otherwise to `_onClientIdle()`,
+   * which either uses it to handle the queue or returns it to the pool. A client
+   * that failed the validation is destroyed and replaced, so the caller never
+   * sees the error. The validation query doesn't count as a query executed by
+   * the client nor in the driver's statistics.
+   *
+   * @param {SQLClient} client Client to validate (must be active).
+   * @param {function} [onDone] Called with the result of the validation.
+   *
+   * @private
+   */
+  _validateClient(client, onDone) {
+    const self = this;
+    const internal = this._internal;
+
+    client._returnToPool = false;
+    client._ping = true;
+    client._execute(internal.validationQuery, null, function(err) {
+      client._returnToPool = true;
+      client._ping = false;
+
+      if (!err) {
+        client._validatedAt = Date.now();
+        return onDone ? onDone(true) : self._onClientIdle(client);
+      }
+
+      client._failed = true;
+      internal.clientsActive--;
+      internal.clientsCount--;
+      self._destroyClient(client);
+
+      self._scheduleWork();
+      self._ensureMinimum();
+      self._idle();
+
+      if (onDone)
+        onDone(false);
+    }, internal.pingTimeout);
+  }
+
+  /**
+   * Releases all idle clients waiting in the client-pool.
+   *
+   * @private
+   */
+  _destroyPool() {
+    const internal = this._internal;
+
+    var client = internal.clientPool;
+    var n = 0;
+
+    while (client) {
+      var next = client._next;
+      this._destroyClient(client);
+
+      client = next;
+      n++;
+    }
+
+    internal.clientsCount -= n;
+    internal.clientPool = null;
+  }
+
+  /**
+   * Returns whether the statements that begin and end a transaction can be
+   * sent together with a query in a single round-trip.
+   *
+   * @param {?array} values Values bound to the query.
+   * @return {boolean}
+   *
+   * @private
+   */
+  _canJoinStatements(values) {
+    return this._internal.multiStatements;
+  }
+
+  /**
+   * Normalizes and validates transaction `options` passed to `begin()`.
+   *
+   * @param {?object} options Transaction options.
+   * @return {?object} Normalized options or `null` if no option was specified.
+   *
+   * @throws {SQLError} If the options are invalid or not supported by the
+   *   SQL engine.
+   *
+   * @private
+   */
+  _normalizeTxOptions(options) {
+    if (!options)
+      return null;
+
+    var isolation = "";
+    if (options.isolation) {
+      isolation = String(options.isolation)
+        .replace(/([a-z])([A-Z])/g, "$1 $2")
+        .replace(/[\s_\-]+/g, " ")
+        .trim()
+        .toUpperCase();
+
+      if (isolationLevels.indexOf(isolation) === -1)
+        throw new SQLError("Invalid transaction isolation level '" + options.isolation + "'");
+    }
+
+    const readOnly = options.readOnly != null ? Boolean(options.readOnly) : null;
+    const deferrable = Boolean(options.deferrable);
+
+    if (!isolation && readOnly === null && !deferrable)
+      return null;
+
+    const normalized = {
+      isolation : isolation,
+      readOnly  : readOnly,
+      deferrable: deferrable
+    };
+
+    // Let the engine reject options it doesn't support.
+    this._getBeginQuery(normalized);
+    return normalized;
+  }
+
+  /**
+   * Returns a statement that starts a new transaction. The default is `BEGIN;`,
+   * which is understood by most SQL engines; drivers can override it.
+   *
+   * @param {?object} options Normalized transaction options.
+   * @return {string}
+   *
+   * @throws {SQLError} If the options are not supported by the SQL engine.
+   *
+   * @private
+   */
+  _getBeginQuery(options) {
+    if (options)
+      throw new SQLError("Transaction options are not supported by '" + this._internal.dialect + "' engine");
+    return "BEGIN;";
+  }
+
+  /**
+   * Wraps an error `err` returned by the underlying SQL driver into `SQLError`
+   * (or its subclass based on the SQLSTATE code) that has the same fields
+   * regardless of the SQL engine.
+   *
+   * @param {Error} err Error returned by the underlying SQL driver.
+   * @param {string} qs Query string that failed.
+   * @return {SQLError}
+   *
+   * @private
+   */
+  _wrapError(err, qs) {
+    const info = this._getErrorInfo(err);
+    const ErrorClass = getErrorClass(info.code);
+
+    info.query = qs || null;
+    info.dialect = this._internal.dialect;
+    info.cause = err;
+
+    return new ErrorClass(err.message, info);
+  }
+
+  /**
+   * Extracts information (see `SQLError`) from an error `err` returned by the
+   * underlying SQL driver. The default implementation only recognizes SQLSTATE
+   * codes and socket errors, drivers should override it.
+   *
+   * @param {Error} err Error returned by the underlying SQL driver.
+   * @return {object}
+   *
+   * @private
+   */
+  _getErrorInfo(err) {
+    var code = typeof err.code === "string" ? err.code : null;
+
+    if (code !== null && !reSQLState.test(code))
+      code = socketErrors.indexOf(code) !== -1 ? "08006" : null;
+
+    return {
+      code      : code,
+      detail    : null,
+      constraint: null,
+      table     : null,
+      column    : null,
+      position  : null
+    };
+  }
+
+  /**
+   * Returns a placeholder of a bound value at `index` (1-based) used by queries
+   * generated by the library (like the migrator).
+   *
+   * @param {number} index Index of the value.
+   * @return {string}
+   *
+   * @private
+   */
+  _getPlaceholder(index) {
+    return "?";
+  }
+
+  /**
+   * Returns a query that takes a lock held until the end of the transaction,
+   * which serializes migrations run concurrently. The default implementation
+   * returns `null` (no lock), drivers should override it.
+   *
+   * @param {string} name Name of the lock (the migrations table).
+   * @return {?object} Query `{ qs, values }` or `null`.
+   *
+   * @private
+   */
+  _getMigrationLock(name) {
+    return null;
+  }
+
+  /**
+   * Generates a unique transaction-id.
+   *
+   * @private
+   */
+  _newTxId() {
+    const internal = this._internal;
+    return ++internal.txIdGenerator;
+  }
+
+  /**
+   * Gets the URI of the server to connect to based on the configuration passed
+   * to the `SQLServer()` constructor. Some implementations (SQLite) will never
+   * call `_getServerURL()` as they use a local file system.
+   *
+   * @private
+   */
+  _getServerURL() {
+    throw new TypeError("SQLDriver._getServerURL() is abstract");
+  }
+
+  /**
+   * Creates a new SQL client by `_createClient()` after the credentials have
+   * been refreshed. If the server rejects the credentials they are fetched
+   * again (bypassing the cache) and the client is created once more.
+   *
+   * @param {function} cb Called with the new client.
+   *
+   * @private
+   */
+  _newClient(cb) {
+    const self = this;
+    const internal = this._internal;
+
+    if (internal.credentialsFn === null)
+      return this._createClient(cb);
+
+    var retried = false;
+    function create(force) {
+      self._refreshCredentials(force, function(err) {
+        if (err)
+          return cb(err, null);
+
+        self._createClient(function(err, client) {
+          if (err && !retried && self._isAuthError(err)) {
+            retried = true;
+            return create(true);
+          }
+
+          cb(err, client);
+        });
+      });
+    }
+
+    create(false);
+  }
+
+  /**
+   * Gets credentials from the credentials provider (or cache) and stores them
+   * as `username` and `password`, which are used by `_createClient()`. The
+   * credentials are cached if `credentialsTtl` is set or if the provider
+   * returns `expiresAt` (a `Date` or a timestamp in milliseconds).
+   *
+   * @param {boolean} force Whether to bypass the cache.
+   * @param {function} cb Called when the credentials are ready.
+   *
+   * @private
+   */
+  _refreshCredentials(force, cb) {
+    const self = this;
+    const internal = this._internal;
+
+    if (internal.credentialsFn === null)
+      return cb(null);
+
+    if (!force && internal.credentials !== null && Date.now() < internal.credentialsExpiry)
+      return cb(null);
+
+    // Concurrent requests share a single call of the provider.
+    if (internal.credentialsWaiting !== null) {
+      internal.credentialsWaiting.push(cb);
+      return;
+    }
+
+    internal.credentialsWaiting = [cb];
+    callCredentialsFn(internal.credentialsFn, function(err, credentials) {
+      const waiting = internal.credentialsWaiting;
+      internal.credentialsWaiting = null;
+
+      if (!err && (!credentials || typeof credentials !== "object"))
+        err = new SQLError("Credentials provider must return an object having 'password'");
+
+      if (err) {
+        self.app.error("[xpart.sql] Failed to get credentials: " + err.toString());
+        internal.credentials = null;
+      }
+      else {
+        const expiresAt = credentials.expiresAt ? Number(credentials.expiresAt) : 0;
+
+        internal.credentials = credentials;
+        internal.credentialsExpiry = expiresAt || (internal.credentialsTtl ? Date.now() + internal.credentialsTtl : 0);
+
+        if (credentials.username != null)
+          internal.username = credentials.username;
+        internal.password = credentials.password != null ? credentials.password : null;
+      }
+
+      for (var i = 0; i < waiting.length; i++)
+        waiting[i](err);
+    });
+  }
+
+  /**
+   * Returns whether an error `err` returned by `_createClient()` means that
+   * the server rejected the credentials (SQLSTATE class 28).
+   *
+   * @private
+   */
+  _isAuthError(err) {
+    const code = this._getErrorInfo(err).code;
+    return code !== null && code.substr(0, 2) === "28";
+  }
+
+  /**
+   * Creates a new SQL client.
+   *
+   * @private
+   */
+  _createClient(cb) {
+    throw new TypeError("SQLDriver._createClient() is abstract");
+  }
+
+  /**
+   * Destroys the SQL client.
+   *
+   * @private
+   */
+  _destroyClient(client) {
+    throw new TypeError("SQLDriver._destroyClient() is abstract");
+  }
+}
+exports.SQLDriver = SQLDriver;
+
+// ============================================================================
+// [SQLClient]
+// ============================================================================
+
+/**
+ * A wrapper around a native SQL client / connection, used by `SQLDriver`.
+ *
+ * Transactions can be nested by calling `begin()` on a client that is in a
+ * transaction state already. A nested transaction is implemented by using
+ * `SAVEPOINT`; `commit()` and `rollback()` always end the innermost one, so
+ * an inner rollback only undoes the work done since the inner `begin()`.
+ */
+class SQLClient {
+  constructor(driver, impl) {
+    this._driver = driver;     // SQL driver (owner).
+    this._impl = impl;         // SQL client (implementation).
+    this._next = null;         // Next client in the client pool.
+
+    this._txId = -1;           // Transaction ID, -1 if not transacting.
+    this._txState = "";        // Transaction state (internal to SQLClient).
+    this._txDepth = 0;         // Savepoint depth, 0 if not in a nested transaction.
+    this._txOptions = null;    // Transaction options passed to `begin()`.
+
+    this._failed = false;      // True if the client failed a transaction.
+    this._pooled = false;      // True if the client is in the client pool now.
+    this._returnToPool = true; // Return to the connection pool after query.
+
+    this._createdAt = Date.now(); // Time when the client has been created.
+    this._idleSince = 0;       // Time when the client has been pooled.
+    this._validatedAt = 0;     // Time when the client has been validated.
+    this._ping = false;        // True if executing the validation query.
+    this._queryCount = 0;      // Number of queries executed.
+    this._queryId = 0;         // Identifies the query being executed, see `_isQueryActive()`.
+
+    this._qs = "";             // Query string (stored for better error reports).
+    this._values = null;       // Query values (stored for better error reports).
+    this._name = "";           // Prepared statement name (or empty).
+    this._cb = null;           // Query callback (if performing query now).
+    this._release = false;     // Release the client after the query finishes.
+    this._timer = null;        // Query timeout timer.
+    this._startedAt = 0;       // Time when the query started.
+    this._pending = null;      // Queries waiting for a timed out query to finish.
+    this._onQuery = null;      // Query handler, has to be implemented by the driver.
+    this._onTimeout = SQLClient.prototype._onTimeout.bind(this);
+  }
+
+  /**
+   * Puts the client into a transaction state. Called by `SQLDriver.begin()`,
+   * the transaction is started lazily by the first query. If the client is in
+   * a transaction state already a nested transaction (savepoint) is started.
+   *
+   * @param {object} [options] Transaction options, see `SQLDriver.begin()`.
+   * @param {function} [cb] Called when the transaction object is ready.
+   * @return {Promise|undefined} Promise if called without a callback.
+   */
+  begin(options, cb) {
+    const self = this;
+    const driver = this._driver;
+
+    if (typeof options === "function") {
+      cb = options;
+      options = null;
+    }
+
+    if (typeof cb !== "function")
+      return callAsPromise(function(cb) { self.begin(options, cb); });
+
+    try {
+      options = driver._normalizeTxOptions(options);
+    }
+    catch (err) {
+      setImmediate(cb, err, null);
+      return;
+    }
+
+    if (this._txId !== -1) {
+      if (options) {
+        setImmediate(cb, new SQLError("Transaction options cannot be used by a nested transaction"), null);
+        return;
+      }
+
+      return this._beginSavepoint(cb);
+    }
+
+    // Set client to a transaction mode.
+    this._txId = driver._newTxId();
+    this._txState = "";
+    this._txOptions = options;
+    this._returnToPool = false;
+
+    // Begin has to be async.
+    setImmediate(cb, null, this);
+  }
+
+  /**
+   * Commits the transaction and returns the client to the driver's pool. The
+   * optional query `q` is executed before the transaction is committed.
+   *
+   * @param {*} [q] Query string or a query-builder object.
+   * @param {array} [values] Values to bind to the query.
+   * @param {function} [cb] Commit callback.
+   * @return {Promise|undefined} Promise if called without a callback.
+   */
+  commit(/* [q, [values,]] */ cb) {
+    const self = this;
+    const driver = this._driver;
+
+    var argc = arguments.length;
+    cb = argc !== 0 && typeof arguments[argc - 1] === "function" ? arguments[--argc] : null;
+
+    var q = argc > 0 ? arguments[0] || "" : "";
+    var values = argc > 1 ? arguments[1] || null : null;
+
+    if (typeof cb !== "function")
+      return callAsPromise(function(cb) { self.commit(q, values, cb); });
+
+    var qs = driver._internal.compiler.compile(q);
+
+    if (this._txId === -1) {
+      setImmediate(cb, new SQLError("Cannot COMMIT while not being in a transaction state"), null);
+      return;
+    }
+
+    // Commit of a nested transaction just releases its savepoint.
+    if (this._txDepth !== 0) {
+      const savepoint = getSavepointName(this._txDepth--);
+      return this._queryWrapped("", qs, values, "RELEASE SAVEPOINT " + savepoint + ";", cb);
+    }
+
+    var head = "";
+    if (this._txState === "") {
+      if (!qs) {
+        // Do nothing if the transaction is empty.
+        setImmediate(cb, null, null);
+        return driver._onClientIdle(this);
+      }
+
+      head = driver._getBeginQuery(this._txOptions);
+    }
+
+    this._txState = "COMMIT";
+    this._returnToPool = true;
+    return this._queryWrapped(head, qs, values, "COMMIT;", cb);
+  }
+
+  /**
+   * Rolls back the transaction and returns the client to the driver's pool.
+   *
+   * @param {function} [cb] Rollback callback.
+   * @return {Promise|undefined} Promise if called without a callback.
+   */
+  rollback(cb) {
+    const driver = this._driver;
+
+    if (typeof cb !== "function")
+      return callAsPromise(this.rollback.bind(this));
+
+    if (this._txId === -1) {
+      setImmediate(cb, new SQLError("Cannot ROLLBACK while not being in a transaction state"), null);
+      return;
+    }
+
+    // Rollback of a nested transaction rolls back to its savepoint, which is
+    // released afterwards as it's not needed anymore.
+    if (this._txDepth !== 0) {
+      const savepoint = getSavepointName(this._txDepth--);
+      return this._queryWrapped("ROLLBACK TO SAVEPOINT " + savepoint + ";", "", null, "RELEASE SAVEPOINT " + savepoint + ";", cb);
+    }
+
+    // Do nothing if the transaction is empty.
+    if (this._txState === "") {
+      setImmediate(cb, null, null);
+      return driver._onClientIdle(this);
+    }
+
+    this._txState = "ROLLBACK";
+    this._returnToPool = true;
+    return this._queryWrapped("", "ROLLBACK;", null, "", cb);
+  }
+
+  /**
+   * Performs a SQL query, which is part of the transaction if the client is
+   * in a transaction state.
+   *
+   * @param {*} q Query string or a query-builder object.
+   * @param {array} [values] Values to bind to the query.
+   * @param {function} [cb] Query callback.
+   * @param {object} [options] Query options, see `SQLDriver.query()`.
+   * @return {Promise|undefined} Promise if called without a callback.
+   */
+  query(q, values, cb, options) {
+    const self = this;
+    const driver = this._driver;
+
+    if (typeof values === "function") {
+      options = cb;
+      cb = values;
+      values = null;
+    }
+    else if (cb && typeof cb === "object") {
+      options = cb;
+      cb = null;
+    }
+
+    // Options (or a transaction) passed instead of values.
+    if (values && !Array.isArray(values)) {
+      options = values;
+      values = null;
+    }
+
+    if (!values)
+      values = null;
+
+    if (typeof cb !== "function")
+      return callAsPromise(function(cb) { self.query(q, values, cb, options); });
+
+    var qs = driver._internal.compiler.compile(q);
+    var head = "";
+
+    // If this is a transacting query make sure that the transaction is
+    // started by "BEGIN", the SQLClient won't do that before the first
+    // query is about being executed.
+    if (this._txId !== -1) {
+      if (this._txState === "") {
+        head = driver._getBeginQuery(this._txOptions);
+        this._txState = "PENDING";
+      }
+    }
+
+    const timeout = options && options.timeout != null ? options.timeout : driver._internal.queryTimeout;
+    const name = options && options.name || "";
+    this._queryWrapped(head, qs, values, "", cb, timeout, name);
+  }
+
+  /**
+   * Begins a nested transaction by creating a new savepoint. Savepoints are
+   * created immediately, together with the outer transaction if it hasn't
+   * started yet.
+   *
+   * @param {function} cb Called when the savepoint has been created.
+   *
+   * @private
+   */
+  _beginSavepoint(cb) {
+    const self = this;
+    const driver = this._driver;
+
+    var head = "";
+    if (this._txState === "") {
+      head = driver._getBeginQuery(this._txOptions);
+      this._txState = "PENDING";
+    }
+
+    const savepoint = getSavepointName(++this._txDepth);
+    this._queryWrapped(head, "SAVEPOINT " + savepoint + ";", null, "", function(err) {
+      if (err) {
+        self._txDepth--;
+        return cb(err, null);
+      }
+
+      cb(null, self);
+    });
+  }
+
+  /**
+   * Executes the query `qs` wrapped by `head` and `tail` statements, which are
+   * used to begin and end transactions (both can be empty).
+   *
+   * If the engine can execute multiple statements at once all of them are
+   * sent to the server as a single query. Otherwise each statement is sent
+   * separately and only the result of `qs` is passed to `cb`. If `qs` fails
+   * in that case the transaction is rolled back instead of being committed.
+   *
+   * @param {string} head Statement to execute before `qs` (or empty).
+   * @param {string} qs Query string (or empty).
+   * @param {?array} values Values to bind to `qs`.
+   * @param {string} tail Statement to execute after `qs` (or empty).
+   * @param {function} cb Query callback.
+   * @param {number} [timeout] Query timeout (defaults to `config.queryTimeout`).
+   * @param {string} [name] Prepared statement name of `qs` (or empty), such
+   *   query is never joined with other statements.
+   *
+   * @private
+   */
+  _queryWrapped(head, qs, values, tail, cb, timeout, name) {
+    const driver = this._driver;
+
+    if (timeout === undefined)
+      timeout = driver._internal.queryTimeout;
+
+    if (!name)
+      name = "";
+
+    if ((!head && !tail) || (!name && driver._canJoinStatements(values))) {
+      // A statement followed by another one must be terminated.
+      if (qs && tail && !reTerminated.test(qs))
+        qs += ";";
+
+      if (head) qs = qs ? head + "\n" + qs : head;
+      if (tail) qs = qs ? qs + "\n" + tail : tail;
+      return this._execute(qs, values, cb, timeout, name);
+    }
+
+    const self = this;
+    const returnToPool = this._returnToPool;
+
+    const steps = [];
+    if (head) steps.push(head);
+    if (qs) steps.push(qs);
+    if (tail) steps.push(tail);
+
+    const valuesIndex = qs ? (head ? 1 : 0) : -1;
+    const resultIndex = valuesIndex !== -1 ? valuesIndex : steps.length - 1;
+    var result = null;
+    var i = 0;
+
+    // The client cannot be released before the last statement finishes.
+    this._returnToPool = false;
+    if (steps.length === 1)
+      this._returnToPool = returnToPool;
+    this._execute(steps[0], valuesIndex === 0 ? values : null, onStep, timeout, valuesIndex === 0 ? name : "");
+
+    function onStep(err, stepResult) {
+      if (err) {
+        // Roll back if the failed statement was followed by COMMIT, the
+        // client is released by `_onQueryDone()` after the ROLLBACK finishes.
+        if (returnToPool && i !== steps.length - 1) {
+          self._txState = "ROLLBACK";
+          self._returnToPool = true;
+          return self._execute("ROLLBACK;", null, function() { cb(err, null); }, timeout);
+        }
+
+        return cb(err, null);
+      }
+
+      if (i === resultIndex)
+        result = stepResult;
+
+      if (++i === steps.length)
+        return cb(null, result);
+
+      if (i === steps.length - 1)
+        self._returnToPool = returnToPool;
+      self._execute(steps[i], i === valuesIndex ? values : null, onStep, timeout, i === valuesIndex ? name : "");
+    }
+  }
+
+  /**
+   * Executes a single query by calling `_query()` implemented by the driver.
+   *
+   * This is a bit tricky. Because callbacks often have just `err, result`
+   * signature the query string, values, and the original callback are stored
+   * in the client itself. This is fine as JS is single-threaded and clients
+   * are not used concurrently. The driver calls `_onQueryDone()` when the
+   * query finishes, which clears these values and calls the real handler.
+   *
+   * Queries executed while the client is busy wait in `_pending`. That's the
+   * case of a query that has timed out, but the server didn't finish it yet
+   * (`ROLLBACK` executed in the meantime), or of queries issued concurrently
+   * within one transaction. A pending query starts after the callback of the
+   * current query returns.
+   *
+   * @param {string} qs Query string.
+   * @param {?array} values Values to bind to the query.
+   * @param {function} cb Query callback.
+   * @param {number} timeout Query timeout in milliseconds, 0 if disabled.
+   * @param {string} [name] Prepared statement name (or empty).
+   *
+   * @private
+   */
+  _execute(qs, values, cb, timeout, name) {
+    if (!name)
+      name = "";
+
+    if (this._cb !== null) {
+      const item = {
+        qs: qs,
+        values: values,
+        cb: cb,
+        timeout: timeout,
+        name: name,
+        release: this._returnToPool
+      };
+
+      if (this._pending === null)
+        this._pending = [item];
+      else
+        this._pending.push(item);
+      return;
+    }
+
+    this._executeNow(qs, values, cb, timeout, name, this._returnToPool);
+  }
+
+  /** @private */
+  _executeNow(qs, values, cb, timeout, name, release) {
+    if (!this._ping)
+      this._queryCount++;
+    this._queryId++;
+
+    this._qs = qs;
+    this._values = values;
+    this._name = name;
+    this._cb = cb;
+    this._release = release;
+    this._startedAt = Date.now();
+
+    if (timeout > 0)
+      this._timer = setTimeout(this._onTimeout, timeout);
+
+    this._query(qs, values);
+  }
+
+  /**
+   * Called when the query didn't finish in time. The query is cancelled and
+   * the callback receives `SQLTimeoutError`. The client is not released until
+   * the server finishes the query, which is then handled by `_onQueryDone()`
+   * as usual, except that its result is ignored.
+   *
+   * @private
+   */
+  _onTimeout() {
     const driver = this._driver;
+    const cb = this._cb;
+    const err = new SQLTimeoutError("Query timed out");
 
-    if (this._txId !== -1) {
-      setImmediate(cb, null, new SQLError("Cannot BEGIN while being in a transaction state {txId=" + this._txId + "}"));
-      return driver._onClientIdle(this);
+    this._timer = null;
+    this._cb = ignoreResult;
+
+    driver.app.error("[xpart.sql] Query:\n" + formatQuery(this._qs, this._values) + "\n",
+                     "[xpart.sql] " + err.toString());
+
+    this._cancel();
+    cb(err, null);
+  }
+
+  /**
+   * Called by the driver implementation when a query finished. Releases the
+   * client into the driver's pool if `_returnToPool` is set, logs the query
+   * (and the result if requested), and calls the user callback.
+   *
+   * @param {?Error} err Error returned by the underlying SQL driver.
+   * @param {?object} result Normalized result having `rows` and `count`.
+   *
+   * @private
+   */
+  _onQueryDone(err, result) {
+    // Get and purge the values stored by `_execute()`.
+    const qs = this._qs;
+    const values = this._values;
+    const cb = this._cb;
+    const release = this._release;
+
+    this._qs = "";
+    this._values = null;
+    this._name = "";
+    this._cb = null;
+    this._release = false;
+
+    if (this._timer !== null) {
+      clearTimeout(this._timer);
+      this._timer = null;
     }
 
-    // Set client to a transaction mode.
-    this._txId = driver._newTxId();
-    this._txState = "";
-    this._returnToPool = false;
+    const driver = this._driver;
+    const internal = driver._internal;
 
-    // Begin has to be async.
-    setImmediate(cb, null, this);
+    if (err && !(err instanceof SQLError))
+      err = driver._wrapError(err, qs);
+
+    // The client cannot be reused if the connection has been lost.
+    if (err instanceof SQLConnectionError)
+      this._failed = true;
+
+    // Validation queries are not counted.
+    if (!this._ping) {
+      internal.statQueries++;
+      internal.queryTimes.add(Date.now() - this._startedAt);
+
+      if (err || cb === ignoreResult)
+        internal.statErrors++;
+    }
+
+    // The transaction ends with the query that releases the client, a failed
+    // COMMIT means that the transaction has been rolled back.
+    if (release && this._txState !== "") {
+      if (this._txState === "COMMIT" && !err)
+        internal.statCommits++;
+      else if (this._txState === "COMMIT" || this._txState === "ROLLBACK")
+        internal.statRollbacks++;
+    }
+
+    // If the transaction failed to COMMIT it's safer to not reuse the client
+    // as it may have been left in an aborted transaction.
+    if (err && release && this._txState === "COMMIT")
+      this._failed = true;
+
+    // Release the client into the DB driver's pool if `_returnToPool` was set
+    // when the query started. Queries still pending cannot be executed as the
+    // client doesn't belong to their transaction anymore.
+    if (release) {
+      if (this._pending !== null) {
+        const pending = this._pending;
+        const pendingErr = new SQLError("Cannot execute the query as its transaction has already ended");
+
+        this._pending = null;
+        for (var i = 0; i < pending.length; i++)
+          setImmediate(pending[i].cb, pendingErr, null);
+      }
+
+      driver._onClientIdle(this);
+    }
+
+    if (this._pending === null)
+      return this._reportResult(qs, values, cb, err, result);
+
+    // The callback is called before the next pending query starts, so it can
+    // continue its chain of statements (see `_queryWrapped()`) first.
+    try {
+      this._reportResult(qs, values, cb, err, result);
+    }
+    finally {
+      this._executePending();
+    }
   }
 
-  commit(/* [q,] */ cb) {
+  /**
+   * Logs the result of a query and passes it to the query callback `cb`.
+   *
+   * @private
+   */
+  _reportResult(qs, values, cb, err, result) {
     const driver = this._driver;
-    var q = "";
+    const internal = driver._internal;
+
+    const app = driver.app;
+    const indent = "  ";
+
+    // The query has timed out and its callback has been already called.
+    if (cb === ignoreResult)
+      return;
 
-    if (arguments.length > 1) {
-      q = arguments[0];
-      cb = arguments[1];
+    // Handle all SQL errors together with the SQL query executed. This means
+    // that we don't have to log messages in business logic as the error has
+    // been already reported by the lower layer (SQL).
+    if (err) {
+      app.error("[xpart.sql] Query:\n" + formatQuery(qs, values) + "\n",
+                "[xpart.sql] " + err.toString());
+      return cb(err, null);
     }
 
-    var qs = driver._internal.compiler.compile(q);
+    if (internal.debugQueries)
+      app.silly("[xpart.sql] Query:\n" + formatQuery(qs, values));
+
+    if (internal.debugResults)
+      app.silly(indent + JSON.stringify(result.rows, null, 2).replace(/\n/g, indent));
+
+    return cb(null, result);
+  }
+
+  /**
+   * Executes the next pending query if the client is not busy.
+   *
+   * @private
+   */
+  _executePending() {
+    if (this._cb !== null || this._pending === null)
+      return;
+
+    const item = this._pending.shift();
+    if (this._pending.length === 0)
+      this._pending = null;
+
+    this._executeNow(item.qs, item.values, item.cb, item.timeout, item.name, item.release);
+  }
+
+  /**
+   * Returns whether the query identified by `queryId` (the value of
+   * `_queryId` when the query started) is still being executed. Drivers
+   * that cancel asynchronously use it to not cancel a query that started
+   * later on the same connection.
+   *
+   * @param {number} queryId Query identifier.
+   * @return {boolean}
+   *
+   * @private
+   */
+  _isQueryActive(queryId) {
+    return this._cb !== null && this._queryId === queryId;
+  }
+
+  /**
+   * Cancels the query that is being executed, called when it timed out. The
+   * default implementation does nothing, drivers should override it.
+   *
+   * @private
+   */
+  _cancel() {}
+
+  /**
+   * Executes the query, has to call `_onQueryDone()` when it finishes. If the
+   * query has a prepared statement name it's stored in `_name`.
+   *
+   * @param {string} qs Query string.
+   * @param {?array} values Values to bind to the query.
+   *
+   * @private
+   */
+  _query(qs, values) {
+    throw new TypeError("SQLClient._query() is abstract");
+  }
+}
+exports.SQLClient = SQLClient;
+
+// ============================================================================
+// [SQLIsolatedClient]
+// ============================================================================
+
+/**
+ * Transaction in test isolation mode, see `SQLDriver.isolate()`. It's a
+ * savepoint in the transaction held by the driver and nested transactions
+ * are nested savepoints. Each savepoint has a unique name, so it cannot be
+ * confused with a savepoint of another transaction.
+ *
+ * The transaction cannot be used after its outermost savepoint has been
+ * released or rolled back, or after the driver has left the mode.
+ *
+ * @private
+ */
+class SQLIsolatedClient extends SQLClient {
+  constructor(driver, held) {
+    super(driver, null);
+
+    this._held = held;         // Transaction held in test isolation mode.
+    this._savepoints = [];     // Names of savepoints, the innermost is the last.
+    this._onEnd = null;        // Called when the transaction ends.
+
+    this._txId = driver._newTxId();
+    this._returnToPool = false;
+  }
+
+  /** @override */
+  begin(options, cb) {
+    const self = this;
+
+    if (typeof options === "function") {
+      cb = options;
+      options = null;
+    }
+
+    if (typeof cb !== "function")
+      return callAsPromise(function(cb) { self.begin(options, cb); });
 
     if (this._txId === -1) {
-      setImmediate(cb, null, new SQLError("Cannot COMMIT while not being in a transaction state"));
-      return driver._onClientIdle(this);
+      setImmediate(cb, new SQLError("Cannot BEGIN a nested transaction of a transaction that has ended"), null);
+      return;
     }
 
-    if (this._txState === "") {
-      if (!qs) {
-        // Do nothing if the transaction is empty.
-        setImmediate(cb, null, null);
-        return driver._onClientIdle(this);
-      }
+    if (options) {
+      setImmediate(cb, new SQLError("Transaction options cannot be used by a nested transaction"), null);
+      return;
+    }
 
-      qs = "BEGIN;\n" + qs;
+    this._beginSavepoint(cb);
+  }
+
+  /** @override */
+  commit(/* [q, [values,]] */ cb) {
+    const self = this;
+    const held = this._held;
+
+    var argc = arguments.length;
+    cb = argc !== 0 && typeof arguments[argc - 1] === "function" ? arguments[--argc] : null;
+
+    var q = argc > 0 ? arguments[0] || "" : "";
+    var values = argc > 1 ? arguments[1] || null : null;
+
+    if (typeof cb !== "function")
+      return callAsPromise(function(cb) { self.commit(q, values, cb); });
+
+    if (this._txId === -1) {
+      setImmediate(cb, new SQLError("Cannot COMMIT while not being in a transaction state"), null);
+      return;
     }
 
-    if (!qs)
-      qs = "COMMIT;";
-    else
-      qs += "\nCOMMIT;";
+    const qs = this._driver._internal.compiler.compile(q);
+    const savepoint = this._savepoints[this._savepoints.length - 1];
 
-    this._txState = "COMMIT";
-    this._returnToPool = true;
-    return this.query(qs, cb);
+    if (!qs)
+      return release();
+
+    held.query(qs, values, function(err) {
+      if (err)
+        return self._rollbackSavepoint(function() { cb(err, null); });
+      release();
+    });
+
+    function release() {
+      held.query("RELEASE SAVEPOINT " + savepoint + ";", function(err) {
+        // The savepoint cannot be released if the transaction is aborted.
+        if (err)
+          return self._rollbackSavepoint(function() { cb(err, null); });
+
+        self._popSavepoint();
+        cb(null, null);
+      });
+    }
   }
 
+  /** @override */
   rollback(cb) {
-    const driver = this._driver;
+    const self = this;
+
+    if (typeof cb !== "function")
+      return callAsPromise(this.rollback.bind(this));
 
     if (this._txId === -1) {
-      setImmediate(cb, null, new SQLError("Cannot ROLLBACK while not being in a transaction state"));
-      return driver._onClientIdle(this);
+      setImmediate(cb, new SQLError("Cannot ROLLBACK while not being in a transaction state"), null);
+      return;
     }
 
-    // Do nothing if the transaction is empty.
-    if (this._txState === "") {
-      setImmediate(cb, null, null);
-      return driver._onClientIdle(this);
+    this._rollbackSavepoint(function(err) {
+      cb(err || null, null);
+    });
+  }
+
+  /** @override */
+  query(q, values, cb, options) {
+    const self = this;
+
+    if (typeof values === "function") {
+      options = cb;
+      cb = values;
+      values = null;
+    }
+    else if (cb && typeof cb === "object") {
+      options = cb;
+      cb = null;
     }
 
-    var qs = "ROLLBACK;";
-    this._txState = "ROLLBACK";
-    this._returnToPool = true;
-    return this.query(qs, cb);
+    // Options (or a transaction) passed instead of values.
+    if (values && !Array.isArray(values)) {
+      options = values;
+      values = null;
+    }
+
+    if (!values)
+      values = null;
+
+    if (typeof cb !== "function")
+      return callAsPromise(function(cb) { self.query(q, values, cb, options); });
+
+    if (this._txId === -1) {
+      setImmediate(cb, new SQLError("Cannot query a transaction that has ended"), null);
+      return;
+    }
+
+    this._held.query(q, values, cb, options);
   }
 
-  query(q, cb) {
-    const driver = this._driver;
-    var qs = driver._internal.compiler.compile(q);
+  /**
+   * Creates a new savepoint, the held transaction begins together with the
+   * first one.
+   *
+   * @override
+   */
+  _beginSavepoint(cb) {
+    const self = this;
+    const savepoint = "xpart_isp_" + (++savepointIdGenerator);
 
-    // If this is a transacting query make sure that the transaction is
-    // started by "BEGIN", the SQLClient won't do that before the first
-    // query is about being executed.
-    if (this._txId !== -1) {
-      if (this._txState === "") {
-        qs = "BEGIN;\n" + qs;
-        this._txState = "PENDING";
+    this._held.query("SAVEPOINT " + savepoint + ";", function(err) {
+      if (err)
+        return cb(err, null);
+
+      // Ended by `endIsolation()` in the meantime.
+      if (self._txId === -1)
+        return cb(new SQLError("The SQL driver has left test isolation mode"), null);
+
+      self._savepoints.push(savepoint);
+      self._txDepth = self._savepoints.length - 1;
+      cb(null, self);
+    });
+  }
+
+  /**
+   * Rolls back to the innermost savepoint and releases it.
+   *
+   * @private
+   */
+  _rollbackSavepoint(cb) {
+    const self = this;
+    const savepoint = this._savepoints[this._savepoints.length - 1];
+
+    this._held._queryWrapped("ROLLBACK TO SAVEPOINT " + savepoint + ";", "", null, "RELEASE SAVEPOINT " + savepoint + ";", function(err) {
+      self._popSavepoint();
+      cb(err || null, null);
+    });
+  }
+
+  /**
+   * Removes the innermost savepoint, the transaction ends with the last one.
+   *
+   * @private
+   */
+  _popSavepoint() {
+    // Ended by `endIsolation()` in the meantime.
+    if (this._txId === -1)
+      return;
+
+    this._savepoints.pop();
+    if (this._savepoints.length !== 0)
+      this._txDepth = this._savepoints.length - 1;
+    else
+      this._end();
+  }
+
+  /**
+   * Ends the transaction, which makes it unusable.
+   *
+   * @private
+   */
+  _end() {
+    const onEnd = this._onEnd;
+
+    this._txId = -1;
+    this._txDepth = 0;
+    this._savepoints.length = 0;
+    this._onEnd = null;
+
+    if (onEnd)
+      onEnd();
+  }
+}
+
+// ============================================================================
+// [SQLStream]
+// ============================================================================
+
+/**
+ * Readable stream of rows returned by `SQLDriver.stream()`.
+ *
+ * The cursor is declared by the first read and each following read fetches
+ * the next batch of rows. When all rows are fetched the cursor is closed and
+ * the transaction (if owned by the stream) is committed, which releases the
+ * client. Destroying the stream rolls back its own transaction or closes the
+ * cursor if the transaction was given by the user.
+ */
+class SQLStream extends Readable {
+  constructor(driver, qs, values, tx, options) {
+    const batchSize = (options && options.batchSize) || 100;
+    super({ objectMode: true, highWaterMark: batchSize });
+
+    this._driver = driver;        // SQL driver (owner).
+    this._qs = qs;                // Query string.
+    this._values = values;        // Query values.
+    this._tx = tx;                // Transaction, null until begun if owned.
+    this._ownsTx = tx === null;   // True if the stream began the transaction.
+    this._name = "";              // Cursor name, empty if not declared yet.
+    this._batchSize = batchSize;  // Number of rows fetched at once.
+    this._timeout = options && options.timeout !== undefined ? options.timeout : undefined;
+    this._busy = false;           // True if a query is in progress.
+    this._readPending = false;    // True if `_read()` has been called while busy.
+    this._done = false;           // True if the stream has ended or has been destroyed.
+    this.destroyed = false;       // True if the stream has been destroyed.
+  }
+
+  /** @override */
+  _read() {
+    if (this._done)
+      return;
+
+    if (this._busy) {
+      this._readPending = true;
+      return;
+    }
+
+    this._busy = true;
+    if (this._name)
+      this._fetch();
+    else if (this._tx)
+      this._declare();
+    else
+      this._begin();
+  }
+
+  /**
+   * Destroys the stream and releases its cursor, then emits `error` (if `err`
+   * is given) and `close`. Implemented by the stream itself as `destroy()` is
+   * not provided by `Readable` of all supported Node versions.
+   *
+   * @param {Error} [err] Error to emit.
+   * @param {function} [cb] Called with `err` instead of emitting it, like
+   *   Node's `destroy()` does.
+   * @return {this}
+   */
+  destroy(err, cb) {
+    const self = this;
+    const tx = this._tx;
+    const wasDone = this._done;
+
+    if (this.destroyed) {
+      if (typeof cb === "function")
+        process.nextTick(cb, err || null);
+      return this;
+    }
+
+    this.destroyed = true;
+    this._done = true;
+
+    function onDestroyed() {
+      process.nextTick(function() {
+        if (typeof cb === "function")
+          cb(err || null);
+        else if (err)
+          self.emit("error", err);
+        self.emit("close");
+      });
+    }
+
+    // Rollback closes the cursor as well. A failed query would have aborted
+    // the user's transaction, closing the cursor is pointless in that case.
+    if (wasDone || tx === null)
+      onDestroyed();
+    else if (this._ownsTx)
+      tx.rollback(onDestroyed);
+    else if (this._name && !err)
+      tx.query("CLOSE " + this._name + ";", onDestroyed);
+    else
+      onDestroyed();
+
+    return this;
+  }
+
+  /** @private */
+  _begin() {
+    const self = this;
+
+    this._driver.begin(function(err, tx) {
+      if (err)
+        return self._fail(err);
+
+      // Destroyed while waiting for a client.
+      if (self._done)
+        return tx.rollback(ignoreResult);
+
+      self._tx = tx;
+      self._declare();
+    });
+  }
+
+  /** @private */
+  _declare() {
+    const self = this;
+    const name = "xpart_cursor_" + (++cursorIdGenerator);
+
+    this._query("DECLARE " + name + " NO SCROLL CURSOR FOR " + this._qs, this._values, function() {
+      self._name = name;
+      self._fetch();
+    });
+  }
+
+  /** @private */
+  _fetch() {
+    const self = this;
+    const batchSize = this._batchSize;
+
+    this._query("FETCH FORWARD " + batchSize + " FROM " + this._name + ";", null, function(result) {
+      const rows = result.rows || [];
+
+      // `push()` can call `_read()`, which must not fetch again before it's
+      // decided whether the cursor has been exhausted.
+      for (var i = 0; i < rows.length; i++)
+        self.push(rows[i]);
+
+      if (rows.length < batchSize)
+        return self._close();
+
+      self._busy = false;
+      if (self._readPending) {
+        self._readPending = false;
+        self._read();
       }
+    });
+  }
+
+  /** @private */
+  _close() {
+    const self = this;
+    const qs = "CLOSE " + this._name + ";";
+
+    function onClosed(err) {
+      if (err)
+        return self._fail(err);
+
+      self._done = true;
+      self.push(null);
     }
 
-    this._query(qs, cb);
+    this._busy = true;
+    if (this._ownsTx)
+      this._tx.commit(qs, onClosed);
+    else
+      this._tx.query(qs, onClosed);
   }
 
-  _query(qs, cb) {
-    throw new TypeError("SQLClient._query() is abstract");
+  /**
+   * Executes a query in the stream's transaction and calls `cb` with its
+   * result, errors destroy the stream.
+   *
+   * @private
+   */
+  _query(qs, values, cb) {
+    const self = this;
+    const options = this._timeout !== undefined ? { timeout: this._timeout } : null;
+
+    this._tx.query(qs, values, function(err, result) {
+      // Destroyed while the query was in progress.
+      if (self._done)
+        return;
+
+      if (err)
+        return self._fail(err);
+
+      cb(result);
+    }, options);
+  }
+
+  /** @private */
+  _fail(err) {
+    if (!this._done)
+      this.destroy(err);
   }
 }
-exports.SQLClient = SQLClient;
+exports.SQLStream = SQLStream;